@@ -13,7 +13,74 @@ const GAME_CONFIG = {
   MAX_WORD_LENGTH: 20,
   VOWEL_POOL: "AEIOU",
   CONSONANT_POOL: "BBCCDDDFFGGHHJJKKLLMMNNPPQQRRSSTTTVVWWXXYYZZ",
-  
+  RARE_LETTERS: "QZXJ",
+  MAX_RARE_LETTERS: 1,
+  MIN_POSSIBLE_WORDS: 10,
+  MAX_GENERATION_ATTEMPTS: 50,
+
+  // English letter frequencies (percent) used for weighted letter draws
+  LETTER_FREQUENCIES: {
+    A: 8.17, B: 1.49, C: 2.78, D: 4.25, E: 12.70, F: 2.23,
+    G: 2.02, H: 6.09, I: 6.97, J: 0.15, K: 0.77, L: 4.03,
+    M: 2.41, N: 6.75, O: 7.51, P: 1.93, Q: 0.10, R: 5.99,
+    S: 6.33, T: 9.06, U: 2.76, V: 0.98, W: 2.36, X: 0.15,
+    Y: 1.97, Z: 0.07
+  },
+
+  // One of these is seeded into every board so it always has a playable pair
+  COMMON_BIGRAMS: [
+    'TH', 'HE', 'IN', 'ER', 'AN', 'RE', 'ES', 'ON', 'ST', 'NT', 'EN',
+    'AT', 'ED', 'TO', 'OR', 'EA', 'HI', 'IS', 'OU', 'AR', 'AS', 'DE',
+    'RT', 'VE'
+  ],
+
+  // Difficulty presets
+  DEFAULT_DIFFICULTY: 'medium',
+  DIFFICULTY: {
+    easy: {
+      name: 'Easy',
+      numLetters: 12,
+      numVowels: 5,
+      time: Infinity,
+      scoreMultiplier: 1,
+      hintsEnabled: true,
+      hintCosts: [0, 2, 4] // points per hint tier
+    },
+    medium: {
+      name: 'Medium',
+      numLetters: 10,
+      numVowels: 4,
+      time: 120,
+      scoreMultiplier: 1,
+      hintsEnabled: true,
+      hintCosts: [3, 6, 10]
+    },
+    hard: {
+      name: 'Hard',
+      numLetters: 8,
+      numVowels: 3,
+      time: 90,
+      scoreMultiplier: 1,
+      hintsEnabled: false,
+      hintCosts: [0, 0, 0]
+    }
+  },
+
+  // Daily Rune: one seeded board per calendar day, the same for every player
+  DAILY: {
+    DIFFICULTY: 'medium',
+    WORD_LIST: 'full', // everyone solves the same board against the same words
+    SCORING_MODE: 'length',
+    SEED_PREFIX: 'mythic-runes-daily-'
+  },
+
+  // Shareable board codes, e.g. index.html#board=2-m-viking-0-letters-full-3doubleWord-ATROMAHHRE&score=42
+  BOARD_CODE: {
+    VERSION: 2,
+    HASH_PARAM: 'board',
+    SCORE_PARAM: 'score'
+  },
+
   // Scoring system
   SCORING: {
     2: 1,
@@ -24,27 +91,157 @@ const GAME_CONFIG = {
     7: 12,
     8: 20
   },
-  
+
+  // Scoring rules, chosen per game on the title screen
+  DEFAULT_SCORING_MODE: 'length',
+  SCORING_MODES: {
+    length: {
+      name: 'Word Length',
+      description: 'Longer words score more'
+    },
+    letters: {
+      name: 'Rune Values',
+      description: 'Each letter is worth more the rarer it is, and rune stones multiply the score'
+    }
+  },
+
+  // Bonus tiles placed on the board in 'letters' scoring; each is spent when a word uses it
+  RUNE_STONES: {
+    COUNT: 2,
+    TYPES: {
+      doubleLetter: { name: 'Double Letter', label: '2L', letterMultiplier: 2, wordMultiplier: 1, weight: 4 },
+      tripleLetter: { name: 'Triple Letter', label: '3L', letterMultiplier: 3, wordMultiplier: 1, weight: 2 },
+      doubleWord: { name: 'Double Word', label: '2W', letterMultiplier: 1, wordMultiplier: 2, weight: 2 },
+      tripleWord: { name: 'Triple Word', label: '3W', letterMultiplier: 1, wordMultiplier: 3, weight: 1 }
+    }
+  },
+
+  // Combo multipliers, checked from the highest tier down
+  COMBO_TIERS: [
+    { minCombo: 50, multiplier: 5 },
+    { minCombo: 20, multiplier: 3 },
+    { minCombo: 10, multiplier: 2 }
+  ],
+
+  // Where a game's points came from, in the order the end-of-game summary lists them
+  SCORE_SOURCES: {
+    length: 'Word length',
+    letters: 'Rune values',
+    runeStones: 'Rune stones',
+    lore: 'Legend',
+    berserk: 'Berserk',
+    difficulty: 'Difficulty',
+    combo: 'Combo'
+  },
+
+  // Special abilities
+  BERSERK_MULTIPLIER: 2,
+  DIVINE_HINT_MIN_LENGTH: 6,
+
   // Animation and timing
   ANIMATION_DELAYS: {
     LETTER_STAGGER: 50,
     MESSAGE_DURATION: 2000,
     CONFETTI_DURATION: 3500,
-    ATTACK_DURATION: 500,
-    SHAKE_DURATION: 500
+    ATTACK_DURATION: 700,
+    SHAKE_DURATION: 500,
+    SPARK_DELAY: 350,
+    SPARK_DURATION: 500,
+    BOSS_DEFEAT_DURATION: 1500,
+    TOAST_DURATION: 4000
   },
   
   // Local storage keys
   STORAGE_KEYS: {
-    DICTIONARY: 'mythic_runes_dictionary',
+    DICTIONARY: 'mythic_runes_dictionary', // legacy localStorage word list, now in IndexedDB
     HIGH_SCORE: 'mythic_runes_high_score',
     SETTINGS: 'mythic_runes_settings',
-    GAME_STATS: 'mythic_runes_stats'
+    GAME_STATS: 'mythic_runes_stats',
+    DAILY: 'mythic_runes_daily',
+    LORE: 'mythic_runes_lore',
+    SAVED_CAMPAIGN: 'mythic_runes_saved_campaign',
+    PROFILES: 'mythic_runes_profiles',
+    ACTIVE_PROFILE: 'mythic_runes_active_profile',
+    GAME_HISTORY: 'mythic_runes_history',
+    HERO_PROGRESS: 'mythic_runes_heroes',
+    ACHIEVEMENTS: 'mythic_runes_achievements'
+  },
+
+  // Finished games kept for the stats panel
+  HISTORY: {
+    MAX_GAMES: 200, // oldest games are dropped beyond this
+    TREND_GAMES: 30 // games plotted on the score trend
+  },
+
+  // Local player profiles, each with its own settings, scores and saves
+  PROFILES: {
+    KEY_PREFIX: 'mythic_runes_profile_{id}:', // prepended to the keys above
+    DEFAULT_ID: 'default', // keeps the unprefixed keys from before profiles existed
+    DEFAULT_NAME: 'Player',
+    DEFAULT_AVATAR: 'viking',
+    MAX_PROFILES: 8,
+    MAX_NAME_LENGTH: 20
+  },
+
+  // Campaigns in progress are saved so a reload can continue them
+  SAVE: {
+    VERSION: 1, // bump when the saved shape changes; older saves are discarded
+    THROTTLE: 2000 // ms between saves while playing
   },
   
+  // Dictionary loading; the worker solves boards off the main thread
+  DICTIONARY: {
+    WORKER_URL: 'js/dictionary-worker.js',
+    CUSTOM_SOURCE: 'custom-word-list', // cache key for the uploaded list
+    CUSTOM_MAX_SIZE: 5 * 1024 * 1024 // 5 MB
+  },
+
+  // Selectable word lists: sources are merged, then filtered by length and blocklist
+  DEFAULT_WORD_LIST: 'full',
+  WORD_LISTS: {
+    common: {
+      name: 'Common Words',
+      sources: ['wordlists/common.txt'],
+      minLength: 3,
+      maxLength: 10,
+      blocklist: 'wordlists/blocklist.txt'
+    },
+    full: {
+      name: 'Full Dictionary',
+      sources: ['words.txt'],
+      minLength: 2,
+      maxLength: null,
+      blocklist: 'wordlists/blocklist.txt'
+    },
+    norse: {
+      name: 'Norse Saga',
+      sources: ['wordlists/common.txt', 'wordlists/norse.txt'],
+      minLength: 3,
+      maxLength: null,
+      blocklist: 'wordlists/blocklist.txt'
+    },
+    custom: {
+      name: 'Your Word List',
+      sources: [],
+      custom: true,
+      minLength: 2,
+      maxLength: null,
+      blocklist: 'wordlists/blocklist.txt'
+    }
+  },
+
+  // Offline support, enabled by FEATURES.ENABLE_CACHING
+  SERVICE_WORKER: {
+    URL: 'sw.js'
+  },
+
   // Cache settings
   CACHE: {
     DICTIONARY_MAX_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+    DICTIONARY_FORMAT: 1, // bump when DictionaryCache's encoding changes
+    DB_NAME: 'mythic_runes',
+    DB_VERSION: 1,
+    DICTIONARY_STORE: 'dictionaries',
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000 // 1 second
   },
@@ -52,7 +249,10 @@ const GAME_CONFIG = {
   // Performance settings
   PERFORMANCE: {
     DEBOUNCE_DELAY: 300,
+    TIMER_TICK: 250, // ms between clock checks; the display still changes once a second
     MAX_CONFETTI_PARTICLES: 50,
+    ATTACK_SPARKS: 8,
+    DEFEAT_SPARKS: 10,
     VIRTUAL_SCROLL_THRESHOLD: 100
   },
   
@@ -63,27 +263,129 @@ const GAME_CONFIG = {
     ANNOUNCEMENT_DELAY: 100 // milliseconds
   },
   
-  // Character data
+  // Progressive hints: asking again about the same word goes a tier further,
+  // from its length and first letter, to its tiles lit on the board, to the word itself
+  HINT_TIERS: ['start', 'tiles', 'word'],
+
+  // Hero abilities are paid for from a meter that valid words fill
+  ABILITY_METER: {
+    MAX: 100,
+    PER_LETTER: 4 // meter gained per letter of a valid word
+  },
+
+  // Hero progression: each hero earns XP from finished campaigns, kept per profile,
+  // and levels up to unlock the perks and cosmetics below
+  HERO_PROGRESSION: {
+    XP_PER_POINT: 1,
+    XP_PER_BOSS: 25,
+    XP_VICTORY: 100,
+    LEVELS: [0, 100, 250, 500, 800, 1200, 1700] // total XP needed for each level, from level 1
+  },
+
+  // Passive bonuses, in play for campaigns once the hero reaches the level
+  HERO_PERKS: {
+    extraTime: { level: 2, name: 'Long Breath', description: 'Start with 5 extra seconds', seconds: 5 },
+    quickCombo: { level: 4, name: 'Battle Rhythm', description: 'Combo tiers come 3 words sooner', headStart: 3 },
+    freeReroll: { level: 6, name: 'Norns\' Favor', description: 'Reroll the board once per game for free' }
+  },
+
+  // Badges, each unlocked the first time a game event of its type matches every
+  // condition in its rule. Events: wordFound, comboReached, bossDefeated, gameEnded.
+  ACHIEVEMENTS: {
+    slayFenrir: {
+      name: 'Wolf-Bane', rune: 'ᛏ', description: 'Slay Fenrir',
+      event: 'bossDefeated', rule: { boss: 'fenrir' }
+    },
+    comboFive: {
+      name: 'Unbroken Chain', rune: 'ᛉ', description: 'Find 5 words in a row',
+      event: 'comboReached', rule: { minCombo: 5 }
+    },
+    longWord: {
+      name: 'Silver Tongue', rune: 'ᛚ', description: 'Find a word of 8 or more letters',
+      event: 'wordFound', rule: { minLength: 8 }
+    },
+    hardCampaign: {
+      name: 'Ragnarök Survivor', rune: 'ᛟ', description: 'Beat the campaign on Hard',
+      event: 'gameEnded', rule: { mode: 'campaign', difficulty: 'hard', victory: true, fromFirstBoss: true }
+    },
+    noHints: {
+      name: 'Unaided', rune: 'ᚨ', description: 'Beat the campaign without a hint',
+      event: 'gameEnded', rule: { mode: 'campaign', victory: true, fromFirstBoss: true, maxHints: 0 }
+    }
+  },
+
+  // Looks unlocked by level; a later unlock overrides an earlier one of the same kind
+  HERO_COSMETICS: [
+    { id: 'emberSparks', level: 3, name: 'Ember Sparks', sparkColor: '#ff7b39' },
+    { id: 'gildedPortrait', level: 5, name: 'Gilded Portrait', portraitFilter: 'sepia(0.6) saturate(1.8) brightness(1.05)' },
+    { id: 'frostSparks', level: 7, name: 'Frost Sparks', sparkColor: '#9be7ff' }
+  ],
+
+  // Playable heroes; the title-screen cards and the ability button are built from these.
+  // An ability's effect is a HeroAbilities type and resource names its meter. cost (meter)
+  // and uses (per game, null for unlimited) are a number or keyed by difficulty;
+  // cooldown is in seconds of play.
+  DEFAULT_CHARACTER: 'viking',
   CHARACTERS: {
     viking: {
       name: 'Viking',
       image: 'viking.png',
       attackImage: 'Fylgjaattack.jpg',
-      description: 'A fierce Norse warrior known for strength and courage'
+      sparkColor: '#fce570',
+      description: 'A fierce Norse warrior known for strength and courage',
+      ability: {
+        effect: 'berserk',
+        name: 'Berserk Mode',
+        description: 'Your next word scores double.',
+        resource: 'Rage',
+        cost: { easy: 20, medium: 40, hard: 60 },
+        cooldown: 10,
+        uses: null
+      }
     },
     valkyrie: {
       name: 'Valkyrie',
       image: 'valkyrie.png',
       attackImage: 'Fylgjaattack.jpg',
-      description: 'A divine maiden who guides fallen warriors to Valhalla'
+      sparkColor: '#a8dadc',
+      description: 'A divine maiden who guides fallen warriors to Valhalla',
+      ability: {
+        effect: 'divineHint',
+        name: 'Divine Hint',
+        description: 'Names one of the longest words on the board.',
+        resource: 'Favor',
+        cost: { easy: 30, medium: 50, hard: 70 },
+        cooldown: 20,
+        uses: { easy: 3, medium: 2, hard: 1 }
+      }
     }
   },
   
-  // Boss data
-  BOSS: {
-    name: 'Fenrir',
-    image: 'fenrir.png',
-    description: 'The giant wolf of Norse mythology'
+  // Bonus lexicon: mythic words score a multiplier and are collected in the Lore panel
+  LEXICON: {
+    URL: 'lexicon.json',
+    VERSION: 1
+  },
+
+  // Boss campaign. Bosses are defined in the campaign file and fought in order.
+  CAMPAIGN: {
+    URL: 'campaign.json',
+    VERSION: 1,
+    WEAKENED_THRESHOLD: 0.5, // fraction of HP left when a boss starts to falter
+    ABILITY_TICK: 1000, // milliseconds per boss ability clock tick
+    // Used when the campaign file cannot be loaded
+    FALLBACK_BOSS: {
+      id: 'draugr',
+      name: 'Draugr',
+      level: 1,
+      hp: 20,
+      image: 'draugr.png',
+      background: 'draugr-bg.png',
+      sound: 'draugr.wav',
+      volume: 0.2,
+      size: { width: 320, height: 180 },
+      timings: { sound: 4000, roar: 1000, shake: 1500 }
+    }
   },
   
   // Audio settings
@@ -96,16 +398,116 @@ const GAME_CONFIG = {
   
   // UI Messages
   MESSAGES: {
-    GAME_START: 'Game started! Find as many words as you can.',
+    GAME_START: 'Game started! Defeat the {boss}!',
+    GAME_START_AT_BOSS: 'Starting at Boss: {boss}',
+    DAILY_START: 'Daily Rune for {date}: defeat the {boss}!',
+    DAILY_OVER: 'The Daily Rune is cast! Your score: {score}.',
+    DAILY_ALREADY_PLAYED: 'You have already cast today\'s Daily Rune (score {score}). Come back tomorrow!',
+    DAILY_BUTTON: 'Daily Rune',
+    DAILY_BUTTON_PLAYED: 'Daily Rune cast ({score})',
+    SHARED_BOARD_START: 'A shared board! Defeat the {boss}!',
+    SHARED_BOARD_WAITING: 'Finish this game before opening the shared board.',
+    CHALLENGE_START: 'A friend scored {score} on this board. Can you beat it?',
+    CHALLENGE_WON: ' You beat the challenge score of {challenge}!',
+    CHALLENGE_LOST: ' The challenge score of {challenge} still stands.',
+    CHALLENGE_TIED: ' You matched the challenge score of {challenge}!',
+    CHALLENGE_SHARE: 'I scored {score} in Mythic Runes! Can you beat me on the same runes? {url}',
+    CHALLENGE_COPIED: 'Challenge link copied! Send it to a friend.',
+    CHALLENGE_COPY_FAILED: 'Could not copy the challenge link.',
+    CHALLENGE_CUSTOM_LIST: 'Games on an uploaded word list can\'t be shared.',
+    LORE_DISCOVERED: ' New lore discovered!',
+    LORE_BUTTON: 'Lore ({found}/{total})',
+    LORE_PROGRESS: '{found} of {total} words of legend discovered',
+    LORE_UNDISCOVERED: 'Undiscovered ({length} letters)',
+    LORE_FOUND_ON: 'First found {date}. Times found: {count}',
+    STATS_EMPTY: 'No games finished yet. Your saga begins with the first battle.',
+    STATS_TOTALS: '{games} games played, {words} words found, average score {average}',
+    STATS_TREND: 'Scores of your last {count} games, from {first} to {last}',
+    STATS_WORD_LENGTH: '{length} letters',
+    STATS_DEATH: '{boss}: {count}',
+    STATS_NO_DEATHS: 'No boss has beaten you yet.',
+    STATS_BEST: '{score} points, {words} words, longest {longest}, best combo {combo} ({date})',
+    STATS_NO_BEST: 'Not played yet',
+    SUMMARY_COMPLETION: 'You found {found} of {total} words on the final board ({completion}%).',
+    SUMMARY_LONGEST_MISSED: 'Longest word missed: {word}',
+    SUMMARY_ALL_FOUND: 'You found every word on the board!',
+    SUMMARY_GROUP: '{length} letters: {found} of {total}',
+    SUMMARY_NO_INVALID: 'No rejected words.',
+    UPDATE_AVAILABLE: 'A new version of Mythic Runes is available.',
+    OFFLINE_READY: 'Mythic Runes is ready to play offline.',
     WORD_TOO_SHORT: 'Words must be at least 2 letters long.',
     WORD_ALREADY_FOUND: 'You already found "{word}".',
     WORD_ALREADY_INVALID: '"{word}" was already marked as invalid or used.',
     WORD_CANNOT_FORM: '"{word}" cannot be formed from the given letters.',
+    LETTER_UNAVAILABLE: 'No {letter} left on the board',
     WORD_NOT_IN_DICTIONARY: '"{word}" is not in the dictionary.',
     WORD_VALID: 'Great! "{word}" is a valid word! (+{points} points)',
+    SCORE_BREAKDOWN: ' [{breakdown}]',
+    SCORE_STEP_ADD: '{label} +{value}',
+    SCORE_STEP_MULTIPLY: '{label} x{value}',
+    SCORE_LENGTH: '{length} letters',
+    SCORE_LETTERS: 'Rune values',
+    SCORE_RUNE_STONE: '{stone} ({letter})',
+    SCORE_LORE: 'Word of legend',
+    SCORE_BERSERK: 'Berserk',
+    SCORE_DIFFICULTY: '{difficulty} difficulty',
+    SCORE_COMBO: '{count}-word combo',
+    SCORE_SUMMARY: ' Points from {sources}.',
+    SCORE_SOURCE: '{name} {points}',
     GAME_OVER: 'Time\'s up! Your final score: {score}.',
+    HERO_PROGRESS: 'Level {level} · {xp}/{next} XP',
+    HERO_PROGRESS_MAX: 'Level {level} · {xp} XP',
+    HERO_UNLOCKS: 'Unlocked: {unlocks}',
+    HERO_XP_EARNED: ' The {hero} earned {xp} XP.',
+    HERO_LEVEL_UP: ' The {hero} reached level {level}!',
+    HERO_UNLOCKED: ' Unlocked: {unlocks}.',
+    REROLL_USED: 'The Norns reweave the board!',
+    ACHIEVEMENT_UNLOCKED: 'Achievement unlocked',
+    TROPHY_PROGRESS: '{unlocked} of {total} achievements unlocked',
+    TROPHY_UNLOCKED_ON: 'Unlocked {date}',
+    TROPHY_LOCKED: 'Locked',
+    PROFILE_CREATED: '{name} joins the saga!',
+    PROFILE_SELECTED: 'Welcome back, {name}!',
+    CONTINUE_BUTTON: 'Continue campaign (Level {level}, {score} points)',
+    CAMPAIGN_CONTINUED: 'Welcome back! The {boss} still stands before you.',
+    SAVE_DISCARDED: 'Your saved campaign could not be restored and has been cleared.',
+    GAME_PAUSED: 'Game paused. Press Escape or Resume to continue.',
+    GAME_RESUMED: 'Game resumed',
+    PAUSE_BUTTON: 'Pause',
+    RESUME_BUTTON: 'Resume',
+    VICTORY: 'You have defeated all bosses! Victory!',
+    BOSS_DEFEATED: 'You Felled the {boss}!',
+    NO_TIME_LIMIT: 'No Limit',
+    HINT_START: 'Hint: a word of {length} letters, starting with {letter}.',
+    HINT_TILES: 'Hint: the glowing runes spell a word of {length} letters, starting with {letter}.',
+    HINT: 'Hint: Try "{word}"',
+    HINT_BUTTON: 'Hint',
+    HINT_BUTTON_COST: 'Hint (-{cost} points)',
+    HINTS_DISABLED: 'Hints are not available on Hard mode!',
+    NO_HINTS_LEFT: 'No more valid words available!',
+    ABILITY_BUTTON: '{name} ({details})',
+    ABILITY_COST: '{cost} {resource}',
+    ABILITY_USES_LEFT: '{count} left',
+    ABILITY_ACTIVE: 'active',
+    ABILITY_SPENT: 'used up',
+    ABILITY_RECHARGING: 'recharging',
+    ABILITY_CHARGING: '{resource} {meter}/{cost}',
+    ABILITY_READY: '{name} is ready.',
+    ABILITY_METER: '{meter} of {max}',
+    BERSERK_ACTIVATED: 'Berserk Mode activated! Next word scores double!',
+    DIVINE_HINT: 'Divine Hint: Try "{word}"',
+    NO_DIVINE_HINT: 'No high-scoring words available for a hint!',
+    BOSS_ABILITY: '{boss} unleashes its power on your runes!',
+    TILE_VALUE: '{letter}, worth {value}',
+    RUNE_STONE_TILE: '{label}, {stone} rune stone',
+    TILE_HIDDEN: 'Hidden letter',
+    TILE_FROZEN: 'Letter {letter}, frozen',
+    TILE_LOCKED: 'Letter {letter}, locked',
     DICTIONARY_LOADING: 'Loading dictionary... This might take a moment!',
     DICTIONARY_ERROR: 'Error loading dictionary. Using fallback words.',
+    WORD_LIST_LOADED: '{name}: {count} words',
+    WORD_LIST_LOADING: 'Loading {name}...',
+    WORD_LIST_FAILED: '{name} could not be loaded: {error}',
     SELECT_CHARACTER: 'Select a character first to enable the start button',
     SHUFFLE_HELP: 'Rearrange the available letters in a different order',
     WORD_INPUT_HELP: 'Use the letters shown above to form valid words'
@@ -114,10 +516,22 @@ const GAME_CONFIG = {
   // Error messages
   ERRORS: {
     DICTIONARY_LOAD_FAILED: 'Failed to load dictionary from server',
+    CUSTOM_WORD_LIST_MISSING: 'Upload a .txt word list first',
+    WORD_LIST_EMPTY: 'The word list has no usable words',
+    WORD_LIST_TOO_LARGE: 'The word list file is too large',
     AUDIO_PLAY_FAILED: 'Failed to play audio',
     STORAGE_QUOTA_EXCEEDED: 'Local storage quota exceeded',
     INVALID_CHARACTER_SELECTION: 'Invalid character selection',
-    GAME_STATE_CORRUPTED: 'Game state appears to be corrupted'
+    PROFILE_NAME_INVALID: 'Enter a player name of up to 20 characters',
+    PROFILE_NAME_TAKEN: 'A player with that name already exists',
+    PROFILE_LIMIT_REACHED: 'There is no room for more players on this device',
+    GAME_STATE_CORRUPTED: 'Game state appears to be corrupted',
+    CAMPAIGN_LOAD_FAILED: 'Failed to load boss campaign',
+    LEXICON_LOAD_FAILED: 'Failed to load the bonus lexicon',
+    LEXICON_INVALID: 'Bonus lexicon is invalid',
+    CAMPAIGN_INVALID: 'Boss campaign is invalid',
+    ACHIEVEMENT_INVALID: 'Achievement is invalid',
+    BOARD_CODE_INVALID: 'Board code is invalid'
   },
   
   // Feature flags
@@ -142,14 +556,59 @@ const GAME_CONFIG = {
 
 // Freeze the configuration to prevent accidental modifications
 Object.freeze(GAME_CONFIG);
+Object.freeze(GAME_CONFIG.LETTER_FREQUENCIES);
+Object.freeze(GAME_CONFIG.COMMON_BIGRAMS);
+Object.values(GAME_CONFIG.DIFFICULTY).forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.DIFFICULTY);
+Object.freeze(GAME_CONFIG.DAILY);
+Object.freeze(GAME_CONFIG.BOARD_CODE);
 Object.freeze(GAME_CONFIG.SCORING);
+Object.values(GAME_CONFIG.SCORING_MODES).forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.SCORING_MODES);
+Object.values(GAME_CONFIG.RUNE_STONES.TYPES).forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.RUNE_STONES.TYPES);
+Object.freeze(GAME_CONFIG.RUNE_STONES);
+Object.freeze(GAME_CONFIG.SCORE_SOURCES);
+GAME_CONFIG.COMBO_TIERS.forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.COMBO_TIERS);
 Object.freeze(GAME_CONFIG.ANIMATION_DELAYS);
 Object.freeze(GAME_CONFIG.STORAGE_KEYS);
+Object.freeze(GAME_CONFIG.HISTORY);
+Object.freeze(GAME_CONFIG.SAVE);
+Object.freeze(GAME_CONFIG.PROFILES);
+Object.freeze(GAME_CONFIG.DICTIONARY);
+Object.values(GAME_CONFIG.WORD_LISTS).forEach(list => {
+  Object.freeze(list.sources);
+  Object.freeze(list);
+});
+Object.freeze(GAME_CONFIG.WORD_LISTS);
+Object.freeze(GAME_CONFIG.SERVICE_WORKER);
 Object.freeze(GAME_CONFIG.CACHE);
 Object.freeze(GAME_CONFIG.PERFORMANCE);
 Object.freeze(GAME_CONFIG.ACCESSIBILITY);
+Object.freeze(GAME_CONFIG.HINT_TIERS);
+Object.freeze(GAME_CONFIG.ABILITY_METER);
+Object.freeze(GAME_CONFIG.HERO_PROGRESSION.LEVELS);
+Object.freeze(GAME_CONFIG.HERO_PROGRESSION);
+Object.values(GAME_CONFIG.HERO_PERKS).forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.HERO_PERKS);
+Object.values(GAME_CONFIG.ACHIEVEMENTS).forEach(achievement => {
+  Object.freeze(achievement.rule);
+  Object.freeze(achievement);
+});
+Object.freeze(GAME_CONFIG.ACHIEVEMENTS);
+GAME_CONFIG.HERO_COSMETICS.forEach(Object.freeze);
+Object.freeze(GAME_CONFIG.HERO_COSMETICS);
+Object.values(GAME_CONFIG.CHARACTERS).forEach(character => {
+  [character.ability.cost, character.ability.uses]
+    .filter(value => value !== null && typeof value === 'object')
+    .forEach(Object.freeze);
+  Object.freeze(character.ability);
+  Object.freeze(character);
+});
 Object.freeze(GAME_CONFIG.CHARACTERS);
-Object.freeze(GAME_CONFIG.BOSS);
+Object.freeze(GAME_CONFIG.LEXICON);
+Object.freeze(GAME_CONFIG.CAMPAIGN);
 Object.freeze(GAME_CONFIG.AUDIO);
 Object.freeze(GAME_CONFIG.MESSAGES);
 Object.freeze(GAME_CONFIG.ERRORS);
@@ -0,0 +1,22 @@
+/**
+ * Mythic Runes Dictionary Worker
+ * Loads the word list and answers DictionaryService requests off the main thread
+ */
+
+importScripts('config.js', 'utils.js', 'game.js');
+
+const handlers = DictionaryService.createHandlers();
+
+self.addEventListener('message', async (event) => {
+  const { id, method, args } = event.data;
+
+  try {
+    if (!handlers[method]) {
+      throw new Error(`Unknown dictionary method: ${method}`);
+    }
+    const result = await handlers[method](...args);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -13,21 +13,254 @@ class GameState {
 
   reset() {
     this.currentLetters = [];
+    this.tileEffects = [];
     this.foundWords = new Set();
     this.invalidWords = new Set();
+    this.earlierFoundWords = []; // found on boards cleared by a level change
+    this.earlierInvalidAttempts = 0;
     this.score = 0;
     this.timeLeft = GAME_CONFIG.DURATION_SECONDS;
     this.isActive = false;
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedTime = 0; // ms spent paused, left out of the game's duration
     this.selectedCharacter = null;
     this.characterImagePath = null;
+    this.difficulty = GAME_CONFIG.DEFAULT_DIFFICULTY;
+    this.scoringMode = GAME_CONFIG.DEFAULT_SCORING_MODE;
+    this.runeStones = []; // rune stone type per tile in 'letters' scoring
+    this.runeStonesSpent = 0;
+    this.wordList = GAME_CONFIG.DEFAULT_WORD_LIST;
+    this.mode = 'campaign'; // 'campaign', 'daily' or 'shared' (a board from a link)
+    this.seed = null;
+    this.dailyDate = null;
+    this.startingBoard = null; // { letters, runeStones, bossIndex } the game opened with, for sharing
+    this.challengeScore = null;
+    this.loreWordsFound = []; // mythic words from the bonus lexicon
+    this.scoreBreakdown = {}; // points earned per scoring step id
+    this.hint = null; // { word, tier } being hinted at, tier indexing GAME_CONFIG.HINT_TIERS
+    this.hintHistory = []; // { word, tier, cost } for every hint taken
+    this.abilityHints = 0; // hints given by hero abilities such as Divine Hint
+    // Campaign progress, mirrored from BossManager for stats
+    this.level = 1;
+    this.bossIndex = 0;
+    this.bossesDefeated = 0;
+    this.comboCount = 0;
+    this.bestCombo = 0;
+    this.comboMultiplier = 1;
+    // Hero ability resources: a meter filled by valid words, limited uses and a cooldown
+    this.abilityMeter = 0;
+    this.specialAbilityUses = 0;
+    this.abilityReadyAt = 0; // play time (ms) when the ability is off cooldown
+    this.abilityCooldown = 0; // length (ms) of the current cooldown
+    this.berserkActive = false;
+    this.perks = []; // ids from GAME_CONFIG.HERO_PERKS the hero brings to this game
+    this.freeRerollUsed = false;
     this.gameStartTime = null;
     this.gameEndTime = null;
   }
 
-  addFoundWord(word) {
+  /**
+   * Replaces the board, clearing any tile effects
+   * @param {Array<string>} letters - New letter tiles
+   * @param {Array<string|null>} runeStones - Rune stone type per tile, if any
+   */
+  setLetters(letters, runeStones = []) {
+    this.currentLetters = letters;
+    this.tileEffects = letters.map(() => null);
+    this.runeStones = letters.map((_, index) => runeStones[index] || null);
+  }
+
+  /**
+   * Shuffles the board, keeping each tile's effect and rune stone attached to its letter
+   * @param {Function} random - Source of floats in [0, 1), defaults to Math.random
+   */
+  shuffleBoard(random = Math.random) {
+    const order = Utils.shuffleArray(this.currentLetters.map((_, index) => index), random);
+    this.currentLetters = order.map(index => this.currentLetters[index]);
+    this.tileEffects = order.map(index => this.tileEffects[index] || null);
+    this.runeStones = order.map(index => this.runeStones[index] || null);
+  }
+
+  /**
+   * Puts a tile into a boss-inflicted state
+   * @param {number} index - Tile index
+   * @param {string} state - 'hidden', 'frozen' or 'locked'
+   * @param {number} duration - Ability clock ticks until the effect wears off
+   */
+  applyTileEffect(index, state, duration) {
+    this.tileEffects[index] = { state, remaining: duration };
+  }
+
+  getFreeTileIndices() {
+    return this.currentLetters
+      .map((_, index) => index)
+      .filter(index => !this.tileEffects[index]);
+  }
+
+  /**
+   * Counts down tile effects by one tick
+   * @returns {boolean} True if any effect wore off
+   */
+  tickTileEffects() {
+    let changed = false;
+    this.tileEffects = this.tileEffects.map(effect => {
+      if (!effect) return null;
+      if (effect.remaining <= 1) {
+        changed = true;
+        return null;
+      }
+      return { ...effect, remaining: effect.remaining - 1 };
+    });
+    return changed;
+  }
+
+  clearTileEffects() {
+    this.tileEffects = this.currentLetters.map(() => null);
+  }
+
+  /**
+   * Letters that can be spelled with right now; frozen and locked tiles are out
+   * @returns {Array<string>} Usable letters
+   */
+  getUsableLetters() {
+    return this.currentLetters.filter((_, index) => {
+      const effect = this.tileEffects[index];
+      return !effect || effect.state === 'hidden';
+    });
+  }
+
+  getDifficultySettings() {
+    return GAME_CONFIG.DIFFICULTY[this.difficulty] || GAME_CONFIG.DIFFICULTY[GAME_CONFIG.DEFAULT_DIFFICULTY];
+  }
+
+  /**
+   * Records a valid word and scores it through the scoring rules, then spends
+   * whatever the score used up: rune stones and an active berserk
+   * @param {string} word - The word that was found
+   * @param {Object} lore - Lexicon entry if the word is mythic
+   * @returns {Object} { points, breakdown, runeStones } from ScoringRules.score
+   */
+  addFoundWord(word, lore = null) {
     this.foundWords.add(word);
-    this.score += this.calculateWordScore(word);
-    Logger.info(`Word found: ${word}, Score: +${this.calculateWordScore(word)}`);
+    if (this.hint && this.hint.word === word) {
+      this.hint = null;
+    }
+    this.incrementCombo();
+    this.chargeAbilityMeter(word);
+
+    const result = ScoringRules.score(word, this.getScoringContext(lore));
+    this.spendRuneStones(result.runeStones);
+    if (lore) {
+      this.loreWordsFound.push(word);
+    }
+    this.berserkActive = false;
+    result.breakdown.forEach(step => {
+      this.scoreBreakdown[step.id] = (this.scoreBreakdown[step.id] || 0) + step.points;
+    });
+
+    this.score += result.points;
+    Logger.info(`Word found: ${word}, Score: +${result.points}`);
+    return result;
+  }
+
+  /**
+   * Everything the scoring rules need to know about the game, as plain data
+   * @param {Object} lore - Lexicon entry if the word is mythic
+   * @returns {Object} Scoring context
+   */
+  getScoringContext(lore = null) {
+    return {
+      scoringMode: this.scoringMode,
+      letters: this.currentLetters,
+      runeStones: this.runeStones,
+      tileEffects: this.tileEffects,
+      lore,
+      berserk: this.berserkActive,
+      comboCount: this.comboCount,
+      comboHeadStart: this.getComboHeadStart(),
+      difficulty: this.difficulty
+    };
+  }
+
+  /**
+   * @param {string} id - Perk id from GAME_CONFIG.HERO_PERKS
+   * @returns {boolean} Whether the hero brought the perk to this game
+   */
+  hasPerk(id) {
+    return this.perks.includes(id);
+  }
+
+  /**
+   * @returns {number} Seconds the hero's perks add to the starting time
+   */
+  getPerkTimeBonus() {
+    return this.hasPerk('extraTime') ? GAME_CONFIG.HERO_PERKS.extraTime.seconds : 0;
+  }
+
+  /**
+   * @returns {number} Words the hero's perks count towards every combo tier
+   */
+  getComboHeadStart() {
+    return this.hasPerk('quickCombo') ? GAME_CONFIG.HERO_PERKS.quickCombo.headStart : 0;
+  }
+
+  canReroll() {
+    return this.hasPerk('freeReroll') && !this.freeRerollUsed;
+  }
+
+  incrementCombo() {
+    this.comboCount++;
+    this.bestCombo = Math.max(this.bestCombo, this.comboCount);
+    this._updateComboMultiplier();
+  }
+
+  resetCombo() {
+    this.comboCount = 0;
+    this._updateComboMultiplier();
+  }
+
+  _updateComboMultiplier() {
+    this.comboMultiplier = ScoringRules.getComboMultiplier(this.comboCount, this.getComboHeadStart());
+  }
+
+  /**
+   * Deducts a hint penalty without letting the score drop below zero
+   * @param {number} points - Points to deduct
+   */
+  applyPenalty(points) {
+    this.score = Math.max(0, this.score - points);
+  }
+
+  /**
+   * Fills the ability meter for a valid word, up to its maximum
+   * @param {string} word - The word that was found
+   */
+  chargeAbilityMeter(word) {
+    const { MAX, PER_LETTER } = GAME_CONFIG.ABILITY_METER;
+    this.abilityMeter = Math.min(MAX, this.abilityMeter + word.length * PER_LETTER);
+  }
+
+  /**
+   * Pays for a hero ability from the meter and starts its cooldown.
+   * Refused while it is active, used up, recharging or the meter is short.
+   * @param {Object} ability - Ability from the character registry
+   * @returns {boolean} True if the ability was paid for
+   */
+  useAbility(ability) {
+    const status = HeroAbilities.getStatus(ability, this);
+    if (status.reason) return false;
+
+    this.specialAbilityUses++;
+    this.abilityMeter -= status.cost;
+    this.abilityCooldown = ability.cooldown * 1000;
+    this.abilityReadyAt = this.getPlayTime() + this.abilityCooldown;
+    Logger.debug(`Ability used for ${status.cost} meter`);
+    return true;
+  }
+
+  activateBerserk() {
+    this.berserkActive = true;
   }
 
   addInvalidWord(word) {
@@ -35,9 +268,69 @@ class GameState {
     Logger.debug(`Invalid word added: ${word}`);
   }
 
-  calculateWordScore(word) {
-    const length = word.length;
-    return GAME_CONFIG.SCORING[length] || GAME_CONFIG.SCORING[8];
+  /**
+   * Removes rune stones once a word has used them
+   * @param {Array<number>} indices - Tile indices
+   */
+  spendRuneStones(indices) {
+    indices.forEach(index => {
+      this.runeStones[index] = null;
+    });
+    this.runeStonesSpent += indices.length;
+  }
+
+  /**
+   * Empties the found and invalid lists for a new board, keeping the
+   * earlier boards' words for the game's stats
+   */
+  clearBoardWords() {
+    this.earlierFoundWords.push(...this.foundWords);
+    this.earlierInvalidAttempts += this.invalidWords.size;
+    this.foundWords.clear();
+    this.invalidWords.clear();
+    this.hint = null;
+  }
+
+  /**
+   * The tier the next hint about the current word would give; 0 once it has been
+   * given away in full or there is no word being hinted at
+   * @returns {number} Index into GAME_CONFIG.HINT_TIERS
+   */
+  getNextHintTier() {
+    if (!this.hint || this.hint.tier >= GAME_CONFIG.HINT_TIERS.length - 1) return 0;
+    return this.hint.tier + 1;
+  }
+
+  /**
+   * Records a hint and charges its cost
+   * @param {string} word - Word hinted at
+   * @param {number} tier - Index into GAME_CONFIG.HINT_TIERS
+   * @param {number} cost - Points the hint costs
+   */
+  takeHint(word, tier, cost) {
+    this.hint = { word, tier };
+    this.hintHistory.push({ word, tier, cost });
+    this.applyPenalty(cost);
+  }
+
+  /**
+   * Tiles that spell the hinted word, once the hint has reached the 'tiles' tier
+   * @returns {Array<number>} Tile indices in the word's letter order, empty if none are lit
+   */
+  getHintTiles() {
+    if (!this.hint || this.hint.tier < GAME_CONFIG.HINT_TIERS.indexOf('tiles')) return [];
+
+    const tiles = [];
+    for (const letter of this.hint.word.toUpperCase()) {
+      const index = this.currentLetters.findIndex((tileLetter, tileIndex) => {
+        const effect = this.tileEffects[tileIndex];
+        return tileLetter === letter && !tiles.includes(tileIndex) && (!effect || effect.state === 'hidden');
+      });
+      // A boss or a swapped tile has taken a letter away
+      if (index === -1) return [];
+      tiles.push(index);
+    }
+    return tiles;
   }
 
   hasFoundWord(word) {
@@ -48,36 +341,444 @@ class GameState {
     return this.invalidWords.has(word);
   }
 
+  /**
+   * @returns {boolean} True once a word has been found this game
+   */
+  hasProgress() {
+    return this.foundWords.size + this.earlierFoundWords.length > 0;
+  }
+
   startGame() {
     this.isActive = true;
     this.gameStartTime = Date.now();
     Logger.info('Game started');
   }
 
+  /**
+   * @returns {boolean} True if the game was running and is now paused
+   */
+  pause() {
+    if (!this.isActive || this.isPaused) return false;
+    this.isPaused = true;
+    this.pausedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True if the game was paused and is now running
+   */
+  resume() {
+    if (!this.isPaused) return false;
+    this.isPaused = false;
+    this.pausedTime += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    return true;
+  }
+
+  /**
+   * @returns {number} Milliseconds played so far, not counting pauses
+   */
+  getPlayTime() {
+    if (!this.gameStartTime) return 0;
+    const now = this.gameEndTime || (this.isPaused ? this.pausedAt : Date.now());
+    return now - this.gameStartTime - this.pausedTime;
+  }
+
+  /**
+   * Whether moves count right now: the game is on and not paused
+   */
+  isPlaying() {
+    return this.isActive && !this.isPaused;
+  }
+
   endGame() {
+    this.resume();
     this.isActive = false;
     this.gameEndTime = Date.now();
-    const duration = this.gameEndTime - this.gameStartTime;
+    const duration = this.gameEndTime - this.gameStartTime - this.pausedTime;
     Logger.info(`Game ended. Duration: ${duration}ms, Final score: ${this.score}`);
   }
 
+  /**
+   * Plain data for a saved campaign: the exact board and everything scored so far
+   * @returns {Object} JSON-safe game state
+   */
+  serialize() {
+    return {
+      letters: this.currentLetters,
+      tileEffects: this.tileEffects,
+      runeStones: this.runeStones,
+      runeStonesSpent: this.runeStonesSpent,
+      foundWords: [...this.foundWords],
+      invalidWords: [...this.invalidWords],
+      earlierFoundWords: this.earlierFoundWords,
+      earlierInvalidAttempts: this.earlierInvalidAttempts,
+      loreWordsFound: this.loreWordsFound,
+      score: this.score,
+      scoreBreakdown: this.scoreBreakdown,
+      hint: this.hint,
+      hintHistory: this.hintHistory,
+      abilityHints: this.abilityHints,
+      character: this.selectedCharacter,
+      difficulty: this.difficulty,
+      scoringMode: this.scoringMode,
+      wordList: this.wordList,
+      startingBoard: this.startingBoard,
+      challengeScore: this.challengeScore,
+      bossesDefeated: this.bossesDefeated,
+      comboCount: this.comboCount,
+      bestCombo: this.bestCombo,
+      abilityMeter: this.abilityMeter,
+      specialAbilityUses: this.specialAbilityUses,
+      abilityReadyAt: this.abilityReadyAt,
+      abilityCooldown: this.abilityCooldown,
+      berserkActive: this.berserkActive,
+      perks: this.perks,
+      freeRerollUsed: this.freeRerollUsed
+    };
+  }
+
+  /**
+   * Loads a saved campaign into a freshly reset state
+   * @param {Object} data - From serialize()
+   * @throws {Error} GAME_STATE_CORRUPTED if anything is missing or out of range
+   */
+  restore(data) {
+    const fail = (reason) => {
+      throw new Error(`${GAME_CONFIG.ERRORS.GAME_STATE_CORRUPTED}: ${reason}`);
+    };
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isWordArray = (value) => Array.isArray(value) && value.every(word => typeof word === 'string' && /^[a-z]+$/.test(word));
+
+    if (!data || typeof data !== 'object') fail('no game state');
+    if (!Array.isArray(data.letters) || data.letters.length === 0 ||
+        !data.letters.every(letter => /^[A-Z]$/.test(letter))) fail('bad letters');
+    if (!isWordArray(data.foundWords) || !isWordArray(data.invalidWords) || !isWordArray(data.loreWordsFound)) {
+      fail('bad word lists');
+    }
+    if (data.earlierFoundWords !== undefined && !isWordArray(data.earlierFoundWords)) fail('bad word lists');
+    if (data.earlierInvalidAttempts !== undefined && !isCount(data.earlierInvalidAttempts)) fail('bad counters');
+    if (!Number.isFinite(data.score)) fail('bad score');
+    const isHint = (hint) => hint && typeof hint.word === 'string' && /^[a-z]+$/.test(hint.word) &&
+      Number.isInteger(hint.tier) && hint.tier >= 0 && hint.tier < GAME_CONFIG.HINT_TIERS.length;
+    if (data.hint !== undefined && data.hint !== null && !isHint(data.hint)) fail('bad hint');
+    if (data.hintHistory !== undefined &&
+        !(Array.isArray(data.hintHistory) && data.hintHistory.every(hint => isHint(hint) && Number.isFinite(hint.cost)))) {
+      fail('bad hint');
+    }
+    if (!GAME_CONFIG.CHARACTERS[data.character]) fail(`unknown character '${data.character}'`);
+    if (!GAME_CONFIG.DIFFICULTY[data.difficulty]) fail(`unknown difficulty '${data.difficulty}'`);
+    if (!GAME_CONFIG.SCORING_MODES[data.scoringMode]) fail(`unknown scoring mode '${data.scoringMode}'`);
+    if (!GAME_CONFIG.WORD_LISTS[data.wordList]) fail(`unknown word list '${data.wordList}'`);
+    if (![data.bossesDefeated, data.comboCount, data.specialAbilityUses, data.runeStonesSpent].every(isCount)) {
+      fail('bad counters');
+    }
+    if (data.abilityMeter !== undefined &&
+        !(Number.isFinite(data.abilityMeter) && data.abilityMeter >= 0 && data.abilityMeter <= GAME_CONFIG.ABILITY_METER.MAX)) {
+      fail('bad ability meter');
+    }
+
+    if (data.abilityHints !== undefined && !isCount(data.abilityHints)) fail('bad counters');
+    if (data.perks !== undefined &&
+        !(Array.isArray(data.perks) && data.perks.every(perk => GAME_CONFIG.HERO_PERKS[perk]))) {
+      fail('bad perks');
+    }
+
+    const tileEffects = Array.isArray(data.tileEffects) ? data.tileEffects : [];
+    const runeStones = Array.isArray(data.runeStones) ? data.runeStones : [];
+    const effectStates = ['hidden', 'frozen', 'locked'];
+    if (!tileEffects.every(effect => !effect || (effectStates.includes(effect.state) && isCount(effect.remaining)))) {
+      fail('bad tile effects');
+    }
+    if (!runeStones.every(stone => !stone || GAME_CONFIG.RUNE_STONES.TYPES[stone])) fail('bad rune stones');
+
+    this.setLetters(data.letters, runeStones);
+    this.tileEffects = this.currentLetters.map((_, index) => tileEffects[index] || null);
+    this.runeStonesSpent = data.runeStonesSpent;
+    this.foundWords = new Set(data.foundWords);
+    this.invalidWords = new Set(data.invalidWords);
+    this.earlierFoundWords = [...(data.earlierFoundWords || [])];
+    this.earlierInvalidAttempts = data.earlierInvalidAttempts || 0;
+    this.loreWordsFound = [...data.loreWordsFound];
+    this.score = data.score;
+    this.scoreBreakdown = { ...(data.scoreBreakdown || {}) };
+    this.hint = data.hint ? { ...data.hint } : null;
+    this.hintHistory = (data.hintHistory || []).map(hint => ({ ...hint }));
+    this.abilityHints = data.abilityHints || 0;
+    this.selectedCharacter = data.character;
+    this.characterImagePath = GAME_CONFIG.CHARACTERS[data.character].image;
+    this.difficulty = data.difficulty;
+    this.scoringMode = data.scoringMode;
+    this.wordList = data.wordList;
+    this.startingBoard = data.startingBoard || null;
+    this.challengeScore = Number.isFinite(data.challengeScore) ? data.challengeScore : null;
+    this.bossesDefeated = data.bossesDefeated;
+    this.comboCount = data.comboCount;
+    this.bestCombo = Math.max(isCount(data.bestCombo) ? data.bestCombo : 0, data.comboCount);
+    this._updateComboMultiplier();
+    this.abilityMeter = data.abilityMeter || 0;
+    this.specialAbilityUses = data.specialAbilityUses;
+    this.abilityReadyAt = Number.isFinite(data.abilityReadyAt) ? data.abilityReadyAt : 0;
+    this.abilityCooldown = isCount(data.abilityCooldown) ? data.abilityCooldown : 0;
+    this.berserkActive = Boolean(data.berserkActive);
+    this.perks = [...(data.perks || [])];
+    this.freeRerollUsed = Boolean(data.freeRerollUsed);
+  }
+
   getGameStats() {
+    const words = [...this.earlierFoundWords, ...this.foundWords];
+    const wordLengths = {};
+    words.forEach(word => {
+      wordLengths[word.length] = (wordLengths[word.length] || 0) + 1;
+    });
+
     return {
       score: this.score,
-      wordsFound: this.foundWords.size,
-      invalidAttempts: this.invalidWords.size,
-      duration: this.gameEndTime ? this.gameEndTime - this.gameStartTime : null,
-      character: this.selectedCharacter
+      wordsFound: words.length,
+      longestWord: words.reduce((longest, word) => word.length > longest.length ? word : longest, ''),
+      wordLengths,
+      bestCombo: this.bestCombo,
+      invalidAttempts: this.earlierInvalidAttempts + this.invalidWords.size,
+      hintsUsed: this.hintHistory.length + this.abilityHints,
+      hintHistory: this.hintHistory,
+      duration: this.gameEndTime ? this.gameEndTime - this.gameStartTime - this.pausedTime : null,
+      character: this.selectedCharacter,
+      difficulty: this.difficulty,
+      scoringMode: this.scoringMode,
+      wordList: this.wordList,
+      mode: this.mode,
+      level: this.level,
+      bossesDefeated: this.bossesDefeated,
+      loreWordsFound: this.loreWordsFound.length,
+      scoreBreakdown: ScoringRules.summarize(this.scoreBreakdown)
+    };
+  }
+}
+
+/**
+ * Scoring Rules
+ * A pure pipeline: the scoring mode's base rule, then each modifier in turn.
+ * Every step is itemised so the player can see where the points came from.
+ * Nothing here reads the DOM or changes game state.
+ */
+class ScoringRules {
+  /**
+   * Base rules by scoring mode; each returns { steps, runeStones }
+   */
+  static get BASE_RULES() {
+    return {
+      length: ScoringRules.wordLength,
+      letters: ScoringRules.letterValues
+    };
+  }
+
+  /**
+   * Modifiers applied after the base rule, in order; each returns a step or null
+   */
+  static get MODIFIERS() {
+    return [
+      ScoringRules.lore,
+      ScoringRules.berserk,
+      ScoringRules.difficulty,
+      ScoringRules.combo
+    ];
+  }
+
+  /**
+   * Scores a word. A step either adds points ({ add }) or multiplies the running total ({ multiply }).
+   * @param {string} word - Valid word
+   * @param {Object} context - { scoringMode, letters, runeStones, tileEffects, lore, berserk, comboCount, difficulty }
+   * @param {Array<Function>} modifiers - Modifiers to apply, defaults to MODIFIERS
+   * @returns {Object} { points, breakdown: [{ id, label, add|multiply, points }], runeStones: tile indices used }
+   */
+  static score(word, context, modifiers = ScoringRules.MODIFIERS) {
+    const baseRule = ScoringRules.BASE_RULES[context.scoringMode] ||
+      ScoringRules.BASE_RULES[GAME_CONFIG.DEFAULT_SCORING_MODE];
+    const base = baseRule(word, context);
+    const steps = [
+      ...base.steps,
+      ...modifiers.map(modifier => modifier(word, context)).filter(Boolean)
+    ];
+
+    let total = 0;
+    const breakdown = steps.map(step => {
+      const before = total;
+      total = step.multiply !== undefined ? total * step.multiply : total + step.add;
+      return { ...step, points: total - before };
+    });
+
+    return {
+      points: Math.round(total),
+      breakdown,
+      runeStones: base.runeStones || []
+    };
+  }
+
+  /**
+   * Base rule for 'length' scoring
+   */
+  static wordLength(word) {
+    const points = GAME_CONFIG.SCORING[word.length] || GAME_CONFIG.SCORING[8];
+    return {
+      steps: [{
+        id: 'length',
+        label: Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_LENGTH, { length: word.length }),
+        add: points
+      }],
+      runeStones: []
+    };
+  }
+
+  /**
+   * Base rule for 'letters' scoring: letter values, plus the rune stones that pay the most.
+   * A stone counts only if the word has a letter for it and its tile is usable.
+   */
+  static letterValues(word, { letters, runeStones = [], tileEffects = [] }) {
+    const wordLetters = word.toUpperCase().split('');
+    const baseScore = wordLetters.reduce((sum, letter) => sum + LetterGenerator.getLetterValue(letter), 0);
+    const wordCounts = {};
+    wordLetters.forEach(letter => {
+      wordCounts[letter] = (wordCounts[letter] || 0) + 1;
+    });
+
+    const stoneIndices = runeStones
+      .map((_, index) => index)
+      .filter(index => {
+        const effect = tileEffects[index];
+        return runeStones[index] &&
+          wordCounts[letters[index]] &&
+          (!effect || effect.state === 'hidden');
+      });
+
+    // Boards carry only a few stones, so every combination can be tried
+    let best = { points: baseScore, runeStones: [] };
+    for (let mask = 1; mask < (1 << stoneIndices.length); mask++) {
+      const used = stoneIndices.filter((_, bit) => mask & (1 << bit));
+      const usedCounts = {};
+      let letterScore = baseScore;
+      let wordMultiplier = 1;
+      let fits = true;
+
+      used.forEach(index => {
+        const letter = letters[index];
+        const stone = GAME_CONFIG.RUNE_STONES.TYPES[runeStones[index]];
+        usedCounts[letter] = (usedCounts[letter] || 0) + 1;
+        if (usedCounts[letter] > wordCounts[letter]) {
+          fits = false;
+        }
+        letterScore += LetterGenerator.getLetterValue(letter) * (stone.letterMultiplier - 1);
+        wordMultiplier *= stone.wordMultiplier;
+      });
+
+      if (fits && letterScore * wordMultiplier > best.points) {
+        best = { points: letterScore * wordMultiplier, runeStones: used };
+      }
+    }
+
+    // Letter stones add to the letter total before any word stone multiplies it
+    const stoneSteps = best.runeStones
+      .map(index => {
+        const stone = GAME_CONFIG.RUNE_STONES.TYPES[runeStones[index]];
+        const label = Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_RUNE_STONE, {
+          stone: stone.name,
+          letter: letters[index]
+        });
+        return stone.wordMultiplier > 1
+          ? { id: 'runeStones', label, multiply: stone.wordMultiplier }
+          : { id: 'runeStones', label, add: LetterGenerator.getLetterValue(letters[index]) * (stone.letterMultiplier - 1) };
+      })
+      .sort((a, b) => (a.multiply !== undefined) - (b.multiply !== undefined));
+
+    return {
+      steps: [
+        { id: 'letters', label: GAME_CONFIG.MESSAGES.SCORE_LETTERS, add: baseScore },
+        ...stoneSteps
+      ],
+      runeStones: best.runeStones
+    };
+  }
+
+  static lore(word, { lore }) {
+    if (!lore) return null;
+    return { id: 'lore', label: GAME_CONFIG.MESSAGES.SCORE_LORE, multiply: lore.multiplier };
+  }
+
+  static berserk(word, { berserk }) {
+    if (!berserk) return null;
+    return { id: 'berserk', label: GAME_CONFIG.MESSAGES.SCORE_BERSERK, multiply: GAME_CONFIG.BERSERK_MULTIPLIER };
+  }
+
+  static difficulty(word, { difficulty }) {
+    const settings = GAME_CONFIG.DIFFICULTY[difficulty];
+    if (!settings || settings.scoreMultiplier === 1) return null;
+    return {
+      id: 'difficulty',
+      label: Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_DIFFICULTY, { difficulty: settings.name }),
+      multiply: settings.scoreMultiplier
+    };
+  }
+
+  static combo(word, { comboCount, comboHeadStart = 0 }) {
+    const multiplier = ScoringRules.getComboMultiplier(comboCount, comboHeadStart);
+    if (multiplier === 1) return null;
+    return {
+      id: 'combo',
+      label: Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_COMBO, { count: comboCount }),
+      multiply: multiplier
     };
   }
+
+  /**
+   * @param {number} comboCount - Words found in a row
+   * @param {number} headStart - Extra words counted towards each tier
+   * @returns {number} Multiplier of the highest tier reached
+   */
+  static getComboMultiplier(comboCount, headStart = 0) {
+    const tier = GAME_CONFIG.COMBO_TIERS.find(t => comboCount + headStart >= t.minCombo);
+    return tier ? tier.multiplier : 1;
+  }
+
+  /**
+   * One line for a word's breakdown, e.g. "5 letters +5, Berserk x2, 10-word combo x2"
+   * @param {Array<Object>} breakdown - Steps from score()
+   * @returns {string} Readable breakdown
+   */
+  static describe(breakdown) {
+    return breakdown
+      .map(step => step.multiply !== undefined
+        ? Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_STEP_MULTIPLY, { label: step.label, value: step.multiply })
+        : Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_STEP_ADD, { label: step.label, value: step.add }))
+      .join(', ');
+  }
+
+  /**
+   * Rounds a game's points per step id, keeping only the sources that paid out
+   * @param {Object} totals - Step id → points
+   * @returns {Array<Object>} [{ id, name, points }] in GAME_CONFIG.SCORE_SOURCES order
+   */
+  static summarize(totals) {
+    return Object.keys(GAME_CONFIG.SCORE_SOURCES)
+      .map(id => ({ id, name: GAME_CONFIG.SCORE_SOURCES[id], points: Math.round(totals[id] || 0) }))
+      .filter(source => source.points > 0);
+  }
 }
 
 /**
  * Dictionary Management
  */
 class Dictionary {
-  constructor() {
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {Object} options.wordList - Definition from GAME_CONFIG.WORD_LISTS, defaults to DEFAULT_WORD_LIST
+   * @param {string} options.text - Contents of an uploaded .txt file, for a custom word list
+   * @param {boolean} options.useCache - Whether to read and write the IndexedDB copy
+   */
+  constructor(options = {}) {
+    this.wordList = options.wordList || GAME_CONFIG.WORD_LISTS[GAME_CONFIG.DEFAULT_WORD_LIST];
+    this.customText = options.text || null;
+    this.useCache = options.useCache !== false;
     this.words = new Set();
+    this.signatureIndex = new Map();
     this.isLoaded = false;
     this.loadPromise = null;
     this.retryCount = 0;
@@ -94,17 +795,13 @@ class Dictionary {
 
   async _loadDictionary() {
     try {
-      // Try to load from cache first
-      const cached = this._loadFromCache();
-      if (cached) {
-        this.words = cached;
-        this.isLoaded = true;
-        Logger.info(`Dictionary loaded from cache: ${this.words.size} words`);
-        return;
-      }
+      const sources = this.wordList.custom
+        ? [await this._loadCustomWords()]
+        : await Promise.all(this.wordList.sources.map(url => this._loadSource(url)));
 
-      // Load from network with retry logic
-      await this._loadFromNetwork();
+      const blocked = await this._loadBlocklist();
+      this._setWords(new Set(this._filterWords(sources.flat(), blocked)));
+      Logger.info(`Dictionary "${this.wordList.name}" loaded: ${this.words.size} words`);
       
     } catch (error) {
       Logger.error('Error loading dictionary:', error);
@@ -113,69 +810,155 @@ class Dictionary {
     }
   }
 
-  async _loadFromNetwork() {
+  /**
+   * Loads one word list file, from the cache while it is fresh
+   * @param {string} url - Word list URL
+   * @returns {Promise<Array<string>>} Words in sorted order
+   */
+  async _loadSource(url) {
+    let cached = null;
+    try {
+      cached = this.useCache ? await DictionaryCache.read(url) : null;
+      if (cached && !cached.isExpired) {
+        Logger.debug(`Word list loaded from cache: ${url}`);
+        return cached.words;
+      }
+
+      return await this._loadFromNetwork(url, cached);
+
+    } catch (error) {
+      // An expired copy still beats the fallback list when offline
+      if (cached) {
+        Logger.warn(`Word list load failed, using expired cache: ${url}`, error);
+        return cached.words;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Downloads a word list and refreshes its cache
+   * @param {string} url - Word list URL
+   * @param {Object|null} cached - Expired cache entry, reused when the file hasn't changed
+   * @returns {Promise<Array<string>>} Words in sorted order
+   */
+  async _loadFromNetwork(url, cached = null) {
     try {
-      Logger.debug(`Loading dictionary from network`);
+      Logger.debug(`Loading word list from network: ${url}`);
       
-      const response = await fetch('words.txt');
+      const response = await fetch(url);
       if (!response.ok) {
         throw new Error(`HTTP error! Status: ${response.status}`);
       }
 
-      const text = await response.text();
-      const wordsArray = text
-        .split('\n')
-        .map(word => word.trim().toLowerCase())
-        .filter(word => word.length >= GAME_CONFIG.MIN_WORD_LENGTH);
-
-      this.words = new Set(wordsArray);
-      this.isLoaded = true;
+      const words = Dictionary.parseWords(await response.text());
 
-      // Cache the dictionary
-      this._saveToCache();
+      // Cache the word list
+      if (this.useCache) {
+        await this._saveToCache(url, words, cached);
+      }
 
-      Logger.info(`Dictionary loaded from network: ${this.words.size} words`);
-      return;
+      return words;
 
     } catch (error) {
-      Logger.warn(`Dictionary load from network failed:`, error);
+      Logger.warn(`Word list load from network failed:`, error);
       throw error;
     }
   }
 
-  _loadFromCache() {
-    try {
-      const cached = Storage.get(GAME_CONFIG.STORAGE_KEYS.DICTIONARY);
-      if (cached && cached.words && cached.timestamp) {
-        // Check if cache is still valid
-        const cacheAge = Date.now() - cached.timestamp;
-        
-        if (cacheAge < GAME_CONFIG.CACHE.DICTIONARY_MAX_AGE) {
-          return new Set(cached.words);
-        } else {
-          Logger.debug('Dictionary cache expired');
-          Storage.remove(GAME_CONFIG.STORAGE_KEYS.DICTIONARY);
-        }
+  /**
+   * Reads the uploaded word list, saving a new upload so it survives reloads
+   * @returns {Promise<Array<string>>} Words in sorted order
+   */
+  async _loadCustomWords() {
+    const key = GAME_CONFIG.DICTIONARY.CUSTOM_SOURCE;
+
+    if (this.customText !== null) {
+      const words = Dictionary.parseWords(this.customText);
+      if (words.length === 0) {
+        throw new Error(GAME_CONFIG.ERRORS.WORD_LIST_EMPTY);
       }
-    } catch (error) {
-      Logger.warn('Error loading dictionary from cache:', error);
+      if (this.useCache) {
+        await DictionaryCache.write(key, words, DictionaryCache.hashWords(words));
+      }
+      return words;
     }
-    return null;
+
+    // Uploads don't go stale, so ignore the cache age
+    const cached = this.useCache ? await DictionaryCache.read(key) : null;
+    if (!cached) {
+      throw new Error(GAME_CONFIG.ERRORS.CUSTOM_WORD_LIST_MISSING);
+    }
+    return cached.words;
   }
 
-  _saveToCache() {
+  /**
+   * @returns {Promise<Set<string>>} Words this list leaves out; empty if the blocklist can't be loaded
+   */
+  async _loadBlocklist() {
+    if (!this.wordList.blocklist) return new Set();
+
     try {
-      const data = {
-        words: Array.from(this.words),
-        timestamp: Date.now()
-      };
-      Storage.set(GAME_CONFIG.STORAGE_KEYS.DICTIONARY, data);
-      Logger.debug('Dictionary cached successfully');
+      return new Set(await this._loadSource(this.wordList.blocklist));
     } catch (error) {
-      Logger.warn('Error saving dictionary to cache:', error);
+      Logger.warn('Blocklist unavailable, word list is unfiltered:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Applies the word list's length limits and blocklist
+   * @param {Array<string>} words - Merged source words
+   * @param {Set<string>} blocked - Words to leave out
+   * @returns {Array<string>} Playable words
+   */
+  _filterWords(words, blocked) {
+    const minLength = Math.max(GAME_CONFIG.MIN_WORD_LENGTH, this.wordList.minLength || 0);
+    const maxLength = this.wordList.maxLength || Infinity;
+
+    return words.filter(word =>
+      word.length >= minLength &&
+      word.length <= maxLength &&
+      !blocked.has(word)
+    );
+  }
+
+  /**
+   * Stores a word list, or just renews the expired entry if its content hash still matches
+   * @param {string} url - Word list URL
+   * @param {Array<string>} words - Words in sorted order
+   * @param {Object|null} cached - Expired cache entry, if any
+   */
+  async _saveToCache(url, words, cached) {
+    const hash = DictionaryCache.hashWords(words);
+
+    if (cached && cached.hash === hash) {
+      await DictionaryCache.touch(cached.record);
+      Logger.debug(`Word list unchanged, cache renewed: ${url}`);
+      return;
+    }
+
+    if (await DictionaryCache.write(url, words, hash)) {
+      Logger.debug(`Word list cached successfully: ${url}`);
     }
   }
 
+  /**
+   * Splits a .txt word list, one word per line, into unique lowercase words.
+   * Lines with anything but the letters a-z can't be spelled with tiles and are dropped.
+   * @param {string} text - File contents
+   * @returns {Array<string>} Words in sorted order
+   */
+  static parseWords(text) {
+    const words = new Set(
+      text
+        .split('\n')
+        .map(word => word.trim().toLowerCase())
+        .filter(word => /^[a-z]+$/.test(word))
+    );
+    return Array.from(words).sort();
+  }
+
   _loadFallbackDictionary() {
     // Fallback dictionary for development/offline use
     const fallbackWords = [
@@ -187,11 +970,80 @@ class Dictionary {
       "fire", "ice", "wind", "earth", "water", "magic", "spell", "quest", "adventure"
     ];
     
-    this.words = new Set(fallbackWords);
-    this.isLoaded = true;
+    this._setWords(new Set(fallbackWords));
     Logger.info('Using fallback dictionary');
   }
 
+  /**
+   * Replaces the word list and rebuilds the anagram index for it
+   * @param {Set<string>} words - Lowercase dictionary words
+   */
+  _setWords(words) {
+    this.words = words;
+    this.signatureIndex = Dictionary.buildSignatureIndex(words);
+    this.isLoaded = true;
+  }
+
+  /**
+   * Groups words by their letter signature so anagram lookups avoid full scans
+   * @param {Iterable<string>} words - Words to index
+   * @returns {Map<string, Array<string>>} Signature to words with exactly those letters
+   */
+  static buildSignatureIndex(words) {
+    const index = new Map();
+    for (const word of words) {
+      const signature = Dictionary.getSignature(word);
+      const entry = index.get(signature);
+      if (entry) {
+        entry.push(word);
+      } else {
+        index.set(signature, [word]);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Gets the letter signature of a word: its lowercase letters in sorted order
+   * @param {string} word - Word or letters to sign
+   * @returns {string} Signature, e.g. "enru" for "rune"
+   */
+  static getSignature(word) {
+    return word.toLowerCase().split('').sort().join('');
+  }
+
+  /**
+   * Lists the signature of every distinct sub-multiset of the tiles long enough to be a word.
+   * A 10-tile board has at most 1024 of these, far fewer than the dictionary has words.
+   * @param {Array<string>} letters - Available letter tiles
+   * @returns {Array<string>} Signatures of MIN_WORD_LENGTH letters or more
+   */
+  static getSubSignatures(letters) {
+    const counts = new Map();
+    letters.forEach(letter => {
+      const lowerLetter = letter.toLowerCase();
+      counts.set(lowerLetter, (counts.get(lowerLetter) || 0) + 1);
+    });
+    const distinct = [...counts.keys()].sort();
+    const signatures = [];
+
+    const collect = (position, prefix) => {
+      if (position === distinct.length) {
+        if (prefix.length >= GAME_CONFIG.MIN_WORD_LENGTH) {
+          signatures.push(prefix);
+        }
+        return;
+      }
+      const letter = distinct[position];
+      for (let used = 0; used <= counts.get(letter); used++) {
+        collect(position + 1, prefix + letter.repeat(used));
+      }
+    };
+    collect(0, '');
+
+    return signatures;
+  }
+
   hasWord(word) {
     return this.words.has(word.toLowerCase());
   }
@@ -200,6 +1052,43 @@ class Dictionary {
     return this.words.size;
   }
 
+  /**
+   * Finds every dictionary word that can be formed from the given letters
+   * @param {Array<string>} letters - Available letter tiles
+   * @param {Set<string>} exclude - Words to leave out (e.g. already found)
+   * @returns {Array<string>} Matching words, shortest first
+   */
+  findPossibleWords(letters, exclude = new Set()) {
+    const possibleWords = [];
+    for (const signature of Dictionary.getSubSignatures(letters)) {
+      const words = this.signatureIndex.get(signature);
+      if (!words) continue;
+      words.forEach(word => {
+        if (!exclude.has(word)) {
+          possibleWords.push(word);
+        }
+      });
+    }
+    possibleWords.sort((a, b) => a.length - b.length || a.localeCompare(b));
+    return possibleWords;
+  }
+
+  /**
+   * Counts the dictionary words that can be formed from the given letters
+   * @param {Array<string>} letters - Available letter tiles
+   * @returns {number} Number of formable words
+   */
+  countPossibleWords(letters) {
+    let count = 0;
+    for (const signature of Dictionary.getSubSignatures(letters)) {
+      const words = this.signatureIndex.get(signature);
+      if (words) {
+        count += words.length;
+      }
+    }
+    return count;
+  }
+
   getRandomWords(count = 10) {
     const wordsArray = Array.from(this.words);
     const randomWords = [];
@@ -214,47 +1103,369 @@ class Dictionary {
 }
 
 /**
- * Letter Generation and Management
+ * Dictionary Service
+ * Runs the Dictionary in a Web Worker behind an async API so loading words.txt
+ * and solving boards never block the page. Falls back to an in-page Dictionary
+ * where workers are unavailable (e.g. pages opened from file://).
  */
-class LetterGenerator {
-  static generate() {
-    const letters = [];
-    const numVowels = 4;
-    const numConsonants = GAME_CONFIG.NUM_LETTERS - numVowels;
-    
-    // Add vowels
-    for (let i = 0; i < numVowels; i++) {
-      const randomIndex = Math.floor(Math.random() * GAME_CONFIG.VOWEL_POOL.length);
-      letters.push(GAME_CONFIG.VOWEL_POOL[randomIndex]);
-    }
+class DictionaryService {
+  constructor(workerUrl = GAME_CONFIG.DICTIONARY.WORKER_URL) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.localHandlers = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.wordListId = GAME_CONFIG.DEFAULT_WORD_LIST;
+    this.customText = null;
+    this.loadRequest = 0;
+    this.wordCount = 0;
+    this.isLoaded = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Builds the request handlers shared by the worker and the in-page fallback
+   * @returns {Object<string, Function>} Handlers keyed by method name
+   */
+  static createHandlers() {
+    let dictionary = new Dictionary();
+
+    return {
+      load: async (wordList, text) => {
+        dictionary = new Dictionary({ wordList, text });
+        await dictionary.load();
+        return dictionary.getWordCount();
+      },
+      has: (word) => dictionary.hasWord(word),
+      solve: (letters, exclude) => dictionary.findPossibleWords(letters, exclude),
+      generateBoard: ({ settings, seed }) => {
+        const random = seed !== null && seed !== undefined ? Utils.createRandom(seed) : Math.random;
+        return LetterGenerator.generateBoard(dictionary, settings, random);
+      }
+    };
+  }
 
-    // Add consonants
-    for (let i = 0; i < numConsonants; i++) {
-      const randomIndex = Math.floor(Math.random() * GAME_CONFIG.CONSONANT_POOL.length);
-      letters.push(GAME_CONFIG.CONSONANT_POOL[randomIndex]);
+  async load() {
+    if (this.loadPromise) {
+      return this.loadPromise;
     }
 
-    return Utils.shuffleArray(letters);
+    this.loadPromise = this._loadDictionary();
+    return this.loadPromise;
   }
 
-  static canFormWord(word, availableLetters) {
-    const letterCounts = {};
-    
-    // Count available letters
+  /**
+   * Switches to another word list and loads it
+   * @param {string} id - Key in GAME_CONFIG.WORD_LISTS
+   * @param {string} text - New upload for the custom list; omit to reuse the saved one
+   * @returns {Promise<void>} Resolves once the list is loaded
+   */
+  useWordList(id, text) {
+    if (!GAME_CONFIG.WORD_LISTS[id]) {
+      id = GAME_CONFIG.DEFAULT_WORD_LIST;
+    }
+    if (text !== undefined) {
+      this.customText = text;
+    } else if (id === this.wordListId && this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.wordListId = id;
+    this.wordCount = 0;
+    this.isLoaded = false;
+    this.loadPromise = null;
+    return this.load();
+  }
+
+  /**
+   * Resolves a word list's file URLs against the page, since the worker resolves against its own script
+   * @param {string} id - Key in GAME_CONFIG.WORD_LISTS
+   * @returns {Object} Word list definition with absolute URLs
+   */
+  static resolveWordList(id) {
+    const wordList = GAME_CONFIG.WORD_LISTS[id];
+    const resolve = url => new URL(url, document.baseURI).href;
+
+    return {
+      ...wordList,
+      id,
+      sources: wordList.sources.map(resolve),
+      blocklist: wordList.blocklist ? resolve(wordList.blocklist) : null
+    };
+  }
+
+  async _loadDictionary() {
+    this._startWorker();
+    const request = ++this.loadRequest;
+    const wordList = DictionaryService.resolveWordList(this.wordListId);
+    const text = wordList.custom ? this.customText : null;
+
+    try {
+      const wordCount = await this._call('load', wordList, text);
+      if (request === this.loadRequest) {
+        this.wordCount = wordCount;
+        Logger.info(`Dictionary service ready: ${wordList.name}, ${wordCount} words`);
+      }
+    } finally {
+      // A newer list may have been picked while this one loaded
+      if (request === this.loadRequest) {
+        this.isLoaded = true;
+      }
+    }
+  }
+
+  /**
+   * Checks whether a word is in the dictionary
+   * @param {string} word - Word to look up
+   * @returns {Promise<boolean>} True if the word exists
+   */
+  has(word) {
+    return this._call('has', word);
+  }
+
+  /**
+   * Finds every dictionary word that can be formed from the given letters
+   * @param {Array<string>} letters - Available letter tiles
+   * @param {Set<string>} exclude - Words to leave out (e.g. already found)
+   * @returns {Promise<Array<string>>} Matching words, shortest first
+   */
+  solve(letters, exclude = new Set()) {
+    return this._call('solve', letters, exclude);
+  }
+
+  /**
+   * Generates a board with enough formable words
+   * @param {Object} options - Board options
+   * @param {Object} options.settings - Difficulty settings from GAME_CONFIG.DIFFICULTY
+   * @param {number} options.seed - Seed for a reproducible board; random without one
+   * @returns {Promise<Array<string>>} Letter tiles
+   */
+  generateBoard(options) {
+    return this._call('generateBoard', { settings: options.settings, seed: options.seed });
+  }
+
+  _startWorker() {
+    if (this.worker || this.localHandlers) return;
+
+    // Older versions kept the word list in localStorage, where it overflowed the quota
+    Storage.remove(GAME_CONFIG.STORAGE_KEYS.DICTIONARY);
+
+    if (typeof Worker === 'undefined') {
+      this._useLocalDictionary(new Error('Web Workers are not supported'));
+      return;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.addEventListener('message', (event) => this._handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this._useLocalDictionary(new Error(event.message || 'Dictionary worker failed'));
+      });
+    } catch (error) {
+      this._useLocalDictionary(error);
+    }
+  }
+
+  /**
+   * Switches to an in-page Dictionary and replays any requests the worker left unanswered
+   * @param {Error} reason - Why the worker can't be used
+   */
+  _useLocalDictionary(reason) {
+    if (this.localHandlers) return;
+
+    Logger.warn('Dictionary worker unavailable, solving on the main thread:', reason);
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.localHandlers = DictionaryService.createHandlers();
+
+    const unanswered = [...this.pending.values()];
+    this.pending.clear();
+    unanswered.forEach(({ method, args, resolve, reject }) => {
+      this._callLocal(method, args).then(resolve, reject);
+    });
+  }
+
+  _call(method, ...args) {
+    if (this.localHandlers) {
+      return this._callLocal(method, args);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextRequestId++;
+      this.pending.set(id, { method, args, resolve, reject });
+      this.worker.postMessage({ id, method, args });
+    });
+  }
+
+  async _callLocal(method, args) {
+    return this.localHandlers[method](...args);
+  }
+
+  _handleMessage({ id, result, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+}
+
+/**
+ * Letter Generation and Management
+ */
+class LetterGenerator {
+  /**
+   * Generates a single letter set for the given difficulty. One common bigram
+   * is always included and at most MAX_RARE_LETTERS rare letters are drawn.
+   * @param {Object} settings - Difficulty settings from GAME_CONFIG.DIFFICULTY
+   * @param {Function} random - Source of floats in [0, 1); pass a seeded one for reproducible boards
+   * @returns {Array<string>} Shuffled upper-case letters
+   */
+  static generate(settings = GAME_CONFIG.DIFFICULTY[GAME_CONFIG.DEFAULT_DIFFICULTY], random = Math.random) {
+    const isVowel = letter => GAME_CONFIG.VOWEL_POOL.includes(letter);
+    const frequencies = Object.entries(GAME_CONFIG.LETTER_FREQUENCIES);
+    const vowelFrequencies = Object.fromEntries(frequencies.filter(([letter]) => isVowel(letter)));
+    const consonantFrequencies = Object.fromEntries(frequencies.filter(([letter]) => !isVowel(letter)));
+
+    const bigram = GAME_CONFIG.COMMON_BIGRAMS[Math.floor(random() * GAME_CONFIG.COMMON_BIGRAMS.length)];
+    const letters = bigram.split('');
+
+    const bigramVowels = letters.filter(isVowel).length;
+    const remainingVowels = settings.numVowels - bigramVowels;
+    const remainingConsonants = (settings.numLetters - settings.numVowels) - (letters.length - bigramVowels);
+
+    for (let i = 0; i < remainingVowels; i++) {
+      letters.push(this.weightedRandomLetter(vowelFrequencies, random));
+    }
+
+    let rareCount = 0;
+    for (let i = 0; i < remainingConsonants; i++) {
+      const letter = this.weightedRandomLetter(consonantFrequencies, random);
+      if (GAME_CONFIG.RARE_LETTERS.includes(letter)) {
+        if (rareCount >= GAME_CONFIG.MAX_RARE_LETTERS) {
+          i--;
+          continue;
+        }
+        rareCount++;
+      }
+      letters.push(letter);
+    }
+
+    return Utils.shuffleArray(letters, random);
+  }
+
+  /**
+   * Generates letter sets until one yields enough dictionary words
+   * @param {Dictionary} dictionary - Loaded dictionary used to score candidates
+   * @param {Object} settings - Difficulty settings from GAME_CONFIG.DIFFICULTY
+   * @param {Function} random - Source of floats in [0, 1), defaults to Math.random
+   * @returns {Array<string>} The first set that passes, or the last attempt
+   */
+  static generateBoard(dictionary, settings, random = Math.random) {
+    let letters;
+    let attempts = 0;
+
+    do {
+      letters = this.generate(settings, random);
+      attempts++;
+    } while (
+      dictionary.countPossibleWords(letters) < GAME_CONFIG.MIN_POSSIBLE_WORDS &&
+      attempts < GAME_CONFIG.MAX_GENERATION_ATTEMPTS
+    );
+
+    if (attempts >= GAME_CONFIG.MAX_GENERATION_ATTEMPTS) {
+      Logger.warn(`Could not generate a letter set with at least ${GAME_CONFIG.MIN_POSSIBLE_WORDS} words after ${attempts} attempts. Using last set.`);
+    }
+
+    return letters;
+  }
+
+  /**
+   * Picks which tiles carry rune stones for letter-value scoring
+   * @param {number} tileCount - Tiles on the board
+   * @param {Function} random - Source of floats in [0, 1), defaults to Math.random
+   * @returns {Array<string|null>} Rune stone type per tile, null for plain tiles
+   */
+  static placeRuneStones(tileCount, random = Math.random) {
+    const stones = new Array(tileCount).fill(null);
+    const weights = Object.fromEntries(
+      Object.entries(GAME_CONFIG.RUNE_STONES.TYPES).map(([type, stone]) => [type, stone.weight])
+    );
+    const indices = Utils.shuffleArray([...stones.keys()], random)
+      .slice(0, GAME_CONFIG.RUNE_STONES.COUNT);
+
+    indices.forEach(index => {
+      stones[index] = this.weightedRandomLetter(weights, random);
+    });
+    return stones;
+  }
+
+  /**
+   * Point value of a tile in letter-value scoring: about one point per halving
+   * of frequency below the most common letter, so E is worth 1 and Z is worth 8
+   * @param {string} letter - Tile letter
+   * @returns {number} Points for the letter
+   */
+  static getLetterValue(letter) {
+    if (!this.letterValues) {
+      const frequencies = GAME_CONFIG.LETTER_FREQUENCIES;
+      const highest = Math.max(...Object.values(frequencies));
+      this.letterValues = Object.fromEntries(
+        Object.entries(frequencies).map(([key, frequency]) => [
+          key,
+          Math.max(1, Math.round(Math.log2(highest / frequency)))
+        ])
+      );
+    }
+    return this.letterValues[letter.toUpperCase()] || 1;
+  }
+
+  static weightedRandomLetter(frequencies, random = Math.random) {
+    const total = Object.values(frequencies).reduce((sum, freq) => sum + freq, 0);
+    let rand = random() * total;
+    for (const [letter, freq] of Object.entries(frequencies)) {
+      rand -= freq;
+      if (rand <= 0) return letter;
+    }
+    return 'E';
+  }
+
+  static canFormWord(word, availableLetters) {
+    return this.getMissingLetters(word, availableLetters).length === 0;
+  }
+
+  /**
+   * Letters of a word the board can't supply, counting each tile once
+   * @param {string} word - Word being spelled
+   * @param {Array<string>} availableLetters - Usable letters
+   * @returns {Array<string>} Lowercase letters that are missing or used too often
+   */
+  static getMissingLetters(word, availableLetters) {
+    const letterCounts = {};
+    
+    // Count available letters
     availableLetters.forEach(char => {
       const lowerChar = char.toLowerCase();
       letterCounts[lowerChar] = (letterCounts[lowerChar] || 0) + 1;
     });
 
-    // Check if word can be formed
+    const missing = [];
     for (const char of word.toLowerCase()) {
-      if (!letterCounts[char] || letterCounts[char] === 0) {
-        return false;
+      if (!letterCounts[char]) {
+        missing.push(char);
+      } else {
+        letterCounts[char]--;
       }
-      letterCounts[char]--;
     }
     
-    return true;
+    return missing;
   }
 
   static getWordComplexity(word, availableLetters) {
@@ -274,6 +1485,93 @@ class LetterGenerator {
   }
 }
 
+/**
+ * Board Codes
+ * Encodes a game setup as a short, URL-safe code: version, difficulty
+ * initial, character, starting boss and letters, e.g. "1-m-viking-0-ATROMAHHRE"
+ */
+class BoardCode {
+  /**
+   * @param {Object} board - { letters, difficulty, character, bossIndex, scoringMode, runeStones, wordList }
+   * @returns {string} Board code
+   */
+  static encode({ letters, difficulty, character, bossIndex, scoringMode, runeStones = [], wordList }) {
+    return [
+      GAME_CONFIG.BOARD_CODE.VERSION,
+      difficulty.charAt(0),
+      character,
+      bossIndex,
+      scoringMode,
+      wordList,
+      runeStones.map((stone, index) => stone ? `${index}${stone}` : null).filter(Boolean).join('.'),
+      letters.join('').toUpperCase()
+    ].join('-');
+  }
+
+  /**
+   * Version 1 codes, from before the scoring mode and word list were shared, decode
+   * without scoringMode, runeStones or wordList
+   * @param {string} code - Board code from a link or hash
+   * @returns {Object} { letters, difficulty, character, bossIndex, scoringMode, runeStones, wordList }
+   * @throws {Error} If the code is malformed or names unknown options
+   */
+  static decode(code) {
+    const parts = typeof code === 'string' ? code.trim().split('-') : [];
+    const version = Number(parts[0]);
+    const expectedParts = version === 1 ? 5 : 8;
+    if (version !== 1 && version !== GAME_CONFIG.BOARD_CODE.VERSION) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: unsupported version ${parts[0]}`);
+    }
+    if (parts.length !== expectedParts) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: expected ${expectedParts} parts`);
+    }
+
+    const [, difficultyCode, character, bossIndexText] = parts;
+    const [scoringMode, wordList, stonesText] = version === 1 ? [] : parts.slice(4, 7);
+    const lettersText = parts[parts.length - 1];
+
+    const difficulty = Object.keys(GAME_CONFIG.DIFFICULTY).find(key => key.charAt(0) === difficultyCode);
+    if (!difficulty) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: unknown difficulty '${difficultyCode}'`);
+    }
+    if (!GAME_CONFIG.CHARACTERS[character]) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: unknown character '${character}'`);
+    }
+
+    const bossIndex = Number(bossIndexText);
+    if (!Number.isInteger(bossIndex) || bossIndex < 0) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: bad boss '${bossIndexText}'`);
+    }
+
+    const letters = lettersText.toUpperCase();
+    if (!/^[A-Z]+$/.test(letters) || letters.length < GAME_CONFIG.MIN_WORD_LENGTH || letters.length > GAME_CONFIG.MAX_WORD_LENGTH) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: bad letters '${lettersText}'`);
+    }
+
+    const board = { letters: letters.split(''), difficulty, character, bossIndex };
+    if (version === 1) return board;
+
+    if (!GAME_CONFIG.SCORING_MODES[scoringMode]) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: unknown scoring mode '${scoringMode}'`);
+    }
+    // An uploaded list only exists on the device it was uploaded to
+    if (!GAME_CONFIG.WORD_LISTS[wordList] || GAME_CONFIG.WORD_LISTS[wordList].custom) {
+      throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: unknown word list '${wordList}'`);
+    }
+    const runeStones = board.letters.map(() => null);
+    (stonesText ? stonesText.split('.') : []).forEach(stoneText => {
+      const match = /^(\d+)([a-zA-Z]+)$/.exec(stoneText);
+      const index = match ? Number(match[1]) : -1;
+      if (!match || index >= runeStones.length || !GAME_CONFIG.RUNE_STONES.TYPES[match[2]]) {
+        throw new Error(`${GAME_CONFIG.ERRORS.BOARD_CODE_INVALID}: bad rune stone '${stoneText}'`);
+      }
+      runeStones[index] = match[2];
+    });
+
+    return { ...board, scoringMode, runeStones, wordList };
+  }
+}
+
 /**
  * Game Timer Management
  */
@@ -284,29 +1582,55 @@ class GameTimer {
     this.interval = null;
     this.timeLeft = 0;
     this.isPaused = false;
+    // Time is measured against the clock, so slow or throttled intervals can't stretch a game
+    this.endsAt = null; // Date.now() value when time runs out, while running
+    this.remainingMs = 0; // kept while paused
+    this.elapsedMs = 0; // play time up to the last pause
+    this.runningSince = null;
   }
 
   start(duration) {
     this.stop(); // Clear any existing timer
     this.timeLeft = duration;
     this.isPaused = false;
+    this.remainingMs = duration * 1000;
+    this.elapsedMs = 0;
+    this.runningSince = Date.now();
+
+    // Untimed games (e.g. Easy) never tick down
+    if (!Number.isFinite(duration)) {
+      Logger.debug('Timer started without a time limit');
+      return;
+    }
     
-    this.interval = setInterval(() => {
-      if (!this.isPaused) {
-        this.timeLeft--;
-        this.onTick(this.timeLeft);
-        
-        if (this.timeLeft <= 0) {
-          this.stop();
-          this.onComplete();
-        }
-      }
-    }, 1000);
+    this.endsAt = this.runningSince + this.remainingMs;
+    this.interval = setInterval(() => this._tick(), GAME_CONFIG.PERFORMANCE.TIMER_TICK);
 
     Logger.debug(`Timer started with ${duration} seconds`);
   }
 
+  /**
+   * Polls the clock several times a second and reports each whole second
+   */
+  _tick() {
+    if (this.isPaused) return;
+
+    const timeLeft = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+    if (timeLeft === this.timeLeft) return;
+
+    this.timeLeft = timeLeft;
+    this.onTick(this.timeLeft);
+    if (this.timeLeft <= 0) {
+      this.stop();
+      this.onComplete();
+    }
+  }
+
   stop() {
+    if (this.runningSince !== null) {
+      this.elapsedMs += Date.now() - this.runningSince;
+      this.runningSince = null;
+    }
     if (this.interval) {
       clearInterval(this.interval);
       this.interval = null;
@@ -315,12 +1639,24 @@ class GameTimer {
   }
 
   pause() {
+    if (this.isPaused || this.runningSince === null) return;
+    const now = Date.now();
     this.isPaused = true;
+    this.elapsedMs += now - this.runningSince;
+    this.runningSince = null;
+    if (this.endsAt !== null) {
+      this.remainingMs = this.endsAt - now;
+    }
     Logger.debug('Timer paused');
   }
 
   resume() {
+    if (!this.isPaused) return;
     this.isPaused = false;
+    this.runningSince = Date.now();
+    if (this.endsAt !== null) {
+      this.endsAt = this.runningSince + this.remainingMs;
+    }
     Logger.debug('Timer resumed');
   }
 
@@ -328,376 +1664,2442 @@ class GameTimer {
     return this.timeLeft;
   }
 
+  /**
+   * @returns {number} Milliseconds played since start, not counting pauses
+   */
+  getElapsed() {
+    return this.elapsedMs + (this.runningSince !== null ? Date.now() - this.runningSince : 0);
+  }
+
   addTime(seconds) {
     this.timeLeft += seconds;
+    if (this.isPaused) {
+      this.remainingMs += seconds * 1000;
+    } else if (this.endsAt !== null) {
+      this.endsAt += seconds * 1000;
+    }
     Logger.debug(`Added ${seconds} seconds to timer`);
   }
 }
 
 /**
- * Audio Management
+ * Boss Campaign Management
+ * Loads boss definitions from the campaign file and tracks the current
+ * boss's HP. Emits: bossChanged, healthChanged, weakened, recovered,
+ * defeated, levelChanged, campaignComplete, abilityTick, abilityTriggered.
  */
-class AudioManager {
+class BossManager {
   constructor() {
-    this.sounds = {};
-    this.enabled = GAME_CONFIG.FEATURES.ENABLE_SOUND;
-    this.volume = GAME_CONFIG.AUDIO.DEFAULT_VOLUME;
-    this._loadSounds();
+    this.bosses = [];
+    this.campaignName = null;
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.listeners = {};
+    this.reset();
   }
 
-  _loadSounds() {
-    try {
-      this.sounds.correctWord = new Audio(GAME_CONFIG.AUDIO.CORRECT_WORD);
-      this.sounds.correctWord.volume = this.volume;
-      this.sounds.correctWord.preload = 'auto';
+  reset() {
+    this.stopAbilities();
+    this.index = 0;
+    this.level = 1;
+    this.maxHp = 0;
+    this.hp = 0;
+    this.state = 'idle'; // 'idle', 'active', 'weakened', 'defeated'
+    this.abilitiesPaused = false;
+  }
 
-      if (GAME_CONFIG.AUDIO.WARP_SOUND) {
-        this.sounds.warp = new Audio(GAME_CONFIG.AUDIO.WARP_SOUND);
-        this.sounds.warp.volume = this.volume;
-        this.sounds.warp.preload = 'auto';
+  async load(url = GAME_CONFIG.CAMPAIGN.URL) {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadCampaign(url);
+    return this.loadPromise;
+  }
+
+  async _loadCampaign(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
       }
 
-      Logger.debug('Audio files loaded');
+      const campaign = await response.json();
+      this._applyCampaign(campaign);
+      Logger.info(`Campaign loaded: ${this.campaignName} (${this.bosses.length} bosses)`);
     } catch (error) {
-      Logger.error('Error loading audio files:', error);
+      Logger.error(`${GAME_CONFIG.ERRORS.CAMPAIGN_LOAD_FAILED}:`, error);
+      this.bosses = [this._normalizeBoss(GAME_CONFIG.CAMPAIGN.FALLBACK_BOSS, 0)];
+      this.campaignName = null;
+      this.isLoaded = true;
+      throw error;
     }
   }
 
-  async play(soundName) {
-    if (!this.enabled || !this.sounds[soundName]) {
-      return;
+  _applyCampaign(campaign) {
+    if (!campaign || campaign.version !== GAME_CONFIG.CAMPAIGN.VERSION) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: unsupported version`);
     }
-
-    try {
-      const sound = this.sounds[soundName];
-      sound.currentTime = 0; // Rewind to start
-      await sound.play();
-      Logger.debug(`Played sound: ${soundName}`);
-    } catch (error) {
-      Logger.warn(`Error playing sound ${soundName}:`, error);
+    if (!Array.isArray(campaign.bosses) || campaign.bosses.length === 0) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: no bosses defined`);
     }
+
+    this.bosses = campaign.bosses.map((definition, index) => this._normalizeBoss(definition, index));
+    this.campaignName = campaign.name || 'Campaign';
+    this.isLoaded = true;
   }
 
-  setEnabled(enabled) {
-    this.enabled = enabled;
-    Logger.debug(`Audio ${enabled ? 'enabled' : 'disabled'}`);
+  /**
+   * Validates a boss definition and fills in optional fields
+   * @param {Object} definition - Raw boss entry from the campaign file
+   * @param {number} index - Position in the campaign, used in error messages
+   * @returns {Object} Frozen boss definition
+   */
+  _normalizeBoss(definition, index) {
+    const required = ['name', 'image', 'hp', 'level'];
+    const missing = required.filter(field => definition[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: boss ${index} is missing ${missing.join(', ')}`);
+    }
+    if (!(definition.hp > 0)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: boss ${index} must have positive hp`);
+    }
+
+    const size = definition.size || {};
+    const timings = definition.timings || {};
+    const ability = definition.ability ? this._normalizeAbility(definition.ability, index) : null;
+
+    return Object.freeze({
+      id: definition.id || `boss-${index}`,
+      name: definition.name,
+      level: definition.level,
+      hp: definition.hp,
+      image: definition.image,
+      background: definition.background || null,
+      sound: definition.sound || null,
+      volume: definition.volume !== undefined ? definition.volume : 1.0,
+      size: Object.freeze({
+        width: size.width || 320,
+        height: size.height || 180
+      }),
+      timings: Object.freeze({
+        sound: timings.sound || 0,
+        roar: timings.roar || 1000,
+        shake: timings.shake || 1000
+      }),
+      ability
+    });
   }
 
-  setVolume(volume) {
-    this.volume = Math.max(0, Math.min(1, volume));
-    Object.values(this.sounds).forEach(sound => {
-      sound.volume = this.volume;
+  _normalizeAbility(ability, index) {
+    if (!BossAbilities.TYPES.includes(ability.type)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: boss ${index} has unknown ability '${ability.type}'`);
+    }
+    if (!(ability.every > 0)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.CAMPAIGN_INVALID}: boss ${index} ability needs a positive 'every'`);
+    }
+
+    return Object.freeze({
+      type: ability.type,
+      every: ability.every,
+      duration: ability.duration || ability.every,
+      amount: ability.amount || 0,
+      message: ability.message || GAME_CONFIG.MESSAGES.BOSS_ABILITY
     });
-    Logger.debug(`Audio volume set to ${this.volume}`);
   }
 
-  isEnabled() {
-    return this.enabled;
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
   }
-}
 
-/**
- * Animation Manager
- */
-class AnimationManager {
-  constructor() {
-    this.enabled = GAME_CONFIG.FEATURES.ENABLE_ANIMATIONS && !Utils.prefersReducedMotion();
+  off(event, handler) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
   }
 
-  animateElement(element, animationClass, duration = null) {
-    if (!this.enabled || !element) return Promise.resolve();
+  _emit(event, payload) {
+    (this.listeners[event] || []).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        Logger.error(`Error in boss '${event}' handler:`, error);
+      }
+    });
+  }
 
-    return new Promise((resolve) => {
-      const cleanup = () => {
-        element.classList.remove(animationClass);
-        element.removeEventListener('animationend', cleanup);
-        resolve();
-      };
+  /**
+   * Starts the campaign at the given boss
+   * @param {number} index - Boss to start at (the dev selector can skip ahead)
+   */
+  start(index = 0) {
+    this.reset();
+    const startIndex = index >= 0 && index < this.bosses.length ? index : 0;
+    this.level = this.bosses[startIndex].level;
+    this._enterBoss(startIndex);
+  }
 
-      element.addEventListener('animationend', cleanup);
-      element.classList.add(animationClass);
+  _enterBoss(index) {
+    this.index = index;
+    this.maxHp = this.bosses[index].hp;
+    this.hp = this.maxHp;
+    this.state = 'active';
+    this._emit('bossChanged', { boss: this.getCurrentBoss(), index });
+    this._emit('healthChanged', { hp: this.hp, maxHp: this.maxHp, percent: 100 });
+    this._startAbilities();
+  }
 
-      // Fallback timeout in case animationend doesn't fire
-      if (duration) {
-        setTimeout(cleanup, duration);
+  /**
+   * Runs the current boss's ability clock. Every tick is emitted so board
+   * effects can wear off; the ability fires every `ability.every` ticks.
+   */
+  _startAbilities() {
+    this.stopAbilities();
+    const boss = this.getCurrentBoss();
+    if (!boss || !boss.ability) return;
+
+    this.abilityElapsed = 0;
+    this.abilityClock = setInterval(() => {
+      if (this.abilitiesPaused) return;
+
+      this.abilityElapsed++;
+      this._emit('abilityTick', { boss });
+      if (this.abilityElapsed >= boss.ability.every) {
+        this.abilityElapsed = 0;
+        this._emit('abilityTriggered', { boss, ability: boss.ability });
       }
-    });
+    }, GAME_CONFIG.CAMPAIGN.ABILITY_TICK);
   }
 
-  async animateLetterTiles(tiles) {
-    if (!this.enabled) return;
-
-    const promises = tiles.map((tile, index) => {
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          this.animateElement(tile, 'animate-in', 400).then(resolve);
-        }, index * GAME_CONFIG.ANIMATION_DELAYS.LETTER_STAGGER);
-      });
-    });
+  stopAbilities() {
+    this.abilitiesPaused = false;
+    if (this.abilityClock) {
+      clearInterval(this.abilityClock);
+      this.abilityClock = null;
+    }
+  }
 
-    await Promise.all(promises);
+  pauseAbilities() {
+    this.abilitiesPaused = true;
   }
 
-  async animateScore(element) {
-    if (!this.enabled || !element) return;
-    
-    await this.animateElement(element, 'score-animated', 300);
+  /**
+   * @returns {Object} Where the campaign stands, for a saved game
+   */
+  serialize() {
+    return {
+      index: this.index,
+      level: this.level,
+      hp: this.hp,
+      abilityElapsed: this.abilityElapsed || 0
+    };
   }
 
-  async animateCharacterAttack(element) {
-    if (!this.enabled || !element) return;
-    
+  /**
+   * Puts a saved campaign back on the same boss with the same HP
+   * @param {Object} data - From serialize()
+   * @throws {Error} GAME_STATE_CORRUPTED if the boss or HP don't fit the campaign
+   */
+  restore(data) {
+    const boss = data ? this.bosses[data.index] : null;
+    if (!boss || !Number.isInteger(data.index)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.GAME_STATE_CORRUPTED}: unknown boss ${data && data.index}`);
+    }
+    if (!Number.isFinite(data.hp) || data.hp < 0 || data.hp > boss.hp || !Number.isInteger(data.level)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.GAME_STATE_CORRUPTED}: bad boss HP or level`);
+    }
+
+    this.reset();
+    this.level = data.level;
+    this._enterBoss(data.index);
+    this.abilityElapsed = Number.isInteger(data.abilityElapsed) ? data.abilityElapsed : 0;
+    if (data.hp < this.maxHp) {
+      this._setHp(data.hp);
+    }
+  }
+
+  resumeAbilities() {
+    this.abilitiesPaused = false;
+  }
+
+  /**
+   * Deals damage to the current boss
+   * @param {number} points - Damage dealt, normally the word's score
+   */
+  damage(points) {
+    if (this.state !== 'active' && this.state !== 'weakened') return;
+
+    this._setHp(this.hp - points);
+  }
+
+  /**
+   * Restores HP to the current boss, e.g. when the player pays for a hint
+   * @param {number} points - HP restored
+   */
+  heal(points) {
+    if (this.state !== 'active' && this.state !== 'weakened') return;
+
+    this._setHp(this.hp + points);
+  }
+
+  _setHp(hp) {
+    this.hp = Math.max(0, Math.min(this.maxHp, hp));
+    this._emit('healthChanged', { hp: this.hp, maxHp: this.maxHp, percent: this.getHealthPercent() });
+
+    const boss = this.getCurrentBoss();
+    if (this.hp <= 0) {
+      this.state = 'defeated';
+      this.stopAbilities();
+      this._emit('defeated', { boss, index: this.index });
+    } else if (this.hp <= this.maxHp * GAME_CONFIG.CAMPAIGN.WEAKENED_THRESHOLD) {
+      if (this.state !== 'weakened') {
+        this.state = 'weakened';
+        this._emit('weakened', { boss });
+      }
+    } else if (this.state === 'weakened') {
+      this.state = 'active';
+      this._emit('recovered', { boss });
+    }
+  }
+
+  /**
+   * Moves on to the next boss after a defeat
+   * @returns {boolean} False when the campaign is complete
+   */
+  advance() {
+    const nextIndex = this.index + 1;
+    if (nextIndex >= this.bosses.length) {
+      this.index = nextIndex;
+      this.state = 'idle';
+      this._emit('campaignComplete', { bossesDefeated: this.bosses.length });
+      return false;
+    }
+
+    const nextBoss = this.bosses[nextIndex];
+    if (nextBoss.level > this.level) {
+      this.level = nextBoss.level;
+      this._emit('levelChanged', { level: this.level });
+    }
+    this._enterBoss(nextIndex);
+    return true;
+  }
+
+  getCurrentBoss() {
+    return this.bosses[this.index] || null;
+  }
+
+  getBosses() {
+    return this.bosses;
+  }
+
+  getHealthPercent() {
+    return this.maxHp > 0 ? (this.hp / this.maxHp) * 100 : 0;
+  }
+
+  isWeakened() {
+    return this.state === 'weakened';
+  }
+
+  isDefeated() {
+    return this.state === 'defeated';
+  }
+
+  isComplete() {
+    return this.bosses.length > 0 && this.index >= this.bosses.length;
+  }
+}
+
+/**
+ * Boss Ability Effects
+ * Signature boss mechanics that act on the letter board and the timer
+ */
+class BossAbilities {
+  static get TYPES() {
+    return ['hideTile', 'freezeTile', 'lockTile', 'shuffleTiles', 'drainTime'];
+  }
+
+  /**
+   * Applies an ability to the running game
+   * @param {Object} ability - Normalized ability from the campaign
+   * @param {Object} context - { gameState, gameTimer, random }, random seeded for
+   *   seeded games so every player sees the same effects
+   * @returns {boolean} True if the ability changed anything
+   */
+  static apply(ability, { gameState, gameTimer, random = Math.random }) {
+    switch (ability.type) {
+      case 'hideTile':
+        return this._applyTileEffect(gameState, 'hidden', ability.duration, random);
+      case 'freezeTile':
+        return this._applyTileEffect(gameState, 'frozen', ability.duration, random);
+      case 'lockTile':
+        return this._applyTileEffect(gameState, 'locked', ability.duration, random);
+      case 'shuffleTiles':
+        gameState.shuffleBoard(random);
+        return true;
+      case 'drainTime':
+        return this._drainTime(gameState, gameTimer, ability.amount);
+      default:
+        Logger.warn(`Unknown boss ability: ${ability.type}`);
+        return false;
+    }
+  }
+
+  static _applyTileEffect(gameState, state, duration, random) {
+    const freeTiles = gameState.getFreeTileIndices();
+    if (freeTiles.length === 0) return false;
+
+    const index = freeTiles[Math.floor(random() * freeTiles.length)];
+    gameState.applyTileEffect(index, state, duration);
+    Logger.debug(`Tile ${index} is now ${state}`);
+    return true;
+  }
+
+  static _drainTime(gameState, gameTimer, seconds) {
+    const timeLeft = gameTimer.getTimeLeft();
+    if (!Number.isFinite(timeLeft) || timeLeft <= 1) return false;
+
+    // Never drain the final second; running out should come from the clock
+    gameTimer.addTime(-Math.min(seconds, timeLeft - 1));
+    gameState.timeLeft = gameTimer.getTimeLeft();
+    return true;
+  }
+}
+
+/**
+ * Hero Ability Effects
+ * What each hero's special ability does, named by the effect in GAME_CONFIG.CHARACTERS
+ */
+class HeroAbilities {
+  static get TYPES() {
+    return ['berserk', 'divineHint'];
+  }
+
+  /**
+   * An ability setting for a difficulty; cost and uses may be keyed by difficulty
+   * @param {number|Object|null} value - Setting from the ability definition
+   * @param {string} difficulty - Difficulty key
+   * @returns {number|null} The setting for that difficulty
+   */
+  static resolve(value, difficulty) {
+    return value !== null && typeof value === 'object' ? value[difficulty] : value;
+  }
+
+  /**
+   * Whether the ability can be used right now, and if not, why
+   * @param {Object} ability - Ability from the character registry
+   * @param {GameState} gameState - Running game
+   * @returns {Object} { cost, meter, usesLeft, readyIn, cooldown, reason } where reason is null
+   *   when ready, otherwise 'active', 'spent', 'recharging' or 'charging' (meter too low);
+   *   usesLeft is null for unlimited uses
+   */
+  static getStatus(ability, gameState) {
+    const cost = this.resolve(ability.cost, gameState.difficulty) || 0;
+    const uses = this.resolve(ability.uses, gameState.difficulty);
+    const usesLeft = Number.isFinite(uses) ? Math.max(0, uses - gameState.specialAbilityUses) : null;
+    const readyIn = Math.max(0, gameState.abilityReadyAt - gameState.getPlayTime());
+
+    let reason = null;
+    if (ability.effect === 'berserk' && gameState.berserkActive) {
+      reason = 'active';
+    } else if (usesLeft === 0) {
+      reason = 'spent';
+    } else if (readyIn > 0) {
+      reason = 'recharging';
+    } else if (gameState.abilityMeter < cost) {
+      reason = 'charging';
+    }
+    return { cost, meter: gameState.abilityMeter, usesLeft, readyIn, cooldown: gameState.abilityCooldown, reason };
+  }
+
+  /**
+   * Applies an ability to the running game, once GameState.useAbility has paid for it
+   * @param {Object} ability - Ability from the character registry
+   * @param {Object} context - { gameState, dictionary }
+   * @returns {Promise<Object>} { message, boardChanged }
+   */
+  static async apply(ability, { gameState, dictionary }) {
+    switch (ability.effect) {
+      case 'berserk':
+        gameState.activateBerserk();
+        return { message: GAME_CONFIG.MESSAGES.BERSERK_ACTIVATED, boardChanged: false };
+      case 'divineHint':
+        return this._divineHint(gameState, dictionary);
+      default:
+        Logger.warn(`Unknown hero ability: ${ability.effect}`);
+        return { message: null, boardChanged: false };
+    }
+  }
+
+  static async _divineHint(gameState, dictionary) {
+    const possibleWords = await dictionary.solve(gameState.getUsableLetters(), gameState.foundWords);
+    const longWords = possibleWords
+      .filter(word => word.length >= GAME_CONFIG.DIVINE_HINT_MIN_LENGTH)
+      .sort((a, b) => b.length - a.length);
+
+    if (longWords.length === 0) {
+      return { message: GAME_CONFIG.MESSAGES.NO_DIVINE_HINT, boardChanged: false };
+    }
+
+    gameState.abilityHints++;
+    return {
+      message: Utils.formatMessage(GAME_CONFIG.MESSAGES.DIVINE_HINT, { word: longWords[0].toUpperCase() }),
+      boardChanged: false
+    };
+  }
+}
+
+/**
+ * Progressive Hints
+ * Which word to hint at, and what each tier of GAME_CONFIG.HINT_TIERS gives away
+ */
+class Hints {
+  /**
+   * The word of most use against the boss: the lowest-scoring word that defeats it,
+   * or the highest-scoring word if none can
+   * @param {Array<string>} words - Unfound words the board can spell
+   * @param {number} bossHp - Boss's remaining HP
+   * @param {Function} scoreWord - word => points it would score
+   * @returns {string|null} Word to hint at, or null if there are none
+   */
+  static chooseTarget(words, bossHp, scoreWord) {
+    const scored = words.map(word => ({ word, points: scoreWord(word) }));
+    const finishers = scored.filter(entry => entry.points >= bossHp).sort((a, b) => a.points - b.points);
+    if (finishers.length > 0) return finishers[0].word;
+
+    const strongest = scored.sort((a, b) => b.points - a.points)[0];
+    return strongest ? strongest.word : null;
+  }
+
+  /**
+   * @param {Object} settings - Difficulty settings from GAME_CONFIG.DIFFICULTY
+   * @param {number} tier - Index into GAME_CONFIG.HINT_TIERS
+   * @returns {number} Points the tier costs
+   */
+  static getCost(settings, tier) {
+    return (settings.hintCosts && settings.hintCosts[tier]) || 0;
+  }
+
+  /**
+   * @param {string} word - Word hinted at
+   * @param {number} tier - Index into GAME_CONFIG.HINT_TIERS
+   * @returns {string} Hint message
+   */
+  static describe(word, tier) {
+    const details = { length: word.length, letter: word[0].toUpperCase(), word: word.toUpperCase() };
+    switch (GAME_CONFIG.HINT_TIERS[tier]) {
+      case 'start':
+        return Utils.formatMessage(GAME_CONFIG.MESSAGES.HINT_START, details);
+      case 'tiles':
+        return Utils.formatMessage(GAME_CONFIG.MESSAGES.HINT_TILES, details);
+      default:
+        return Utils.formatMessage(GAME_CONFIG.MESSAGES.HINT, details);
+    }
+  }
+}
+
+/**
+ * Bonus Lexicon
+ * Mythic words from the lexicon file score a multiplier and carry a line of lore
+ */
+class Lexicon {
+  constructor() {
+    this.entries = new Map();
+    this.name = null;
+    this.isLoaded = false;
+    this.loadPromise = null;
+  }
+
+  async load(url = GAME_CONFIG.LEXICON.URL) {
+    if (this.loadPromise) {
+      return this.loadPromise;
+    }
+
+    this.loadPromise = this._loadLexicon(url);
+    return this.loadPromise;
+  }
+
+  async _loadLexicon(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+      }
+
+      this._applyLexicon(await response.json());
+      Logger.info(`Lexicon loaded: ${this.name} (${this.entries.size} words)`);
+    } catch (error) {
+      // Without the lexicon every word simply scores normally
+      Logger.error(`${GAME_CONFIG.ERRORS.LEXICON_LOAD_FAILED}:`, error);
+      this.entries = new Map();
+      this.isLoaded = true;
+      throw error;
+    }
+  }
+
+  _applyLexicon(lexicon) {
+    if (!lexicon || lexicon.version !== GAME_CONFIG.LEXICON.VERSION) {
+      throw new Error(`${GAME_CONFIG.ERRORS.LEXICON_INVALID}: unsupported version`);
+    }
+    if (!lexicon.words || typeof lexicon.words !== 'object') {
+      throw new Error(`${GAME_CONFIG.ERRORS.LEXICON_INVALID}: no words defined`);
+    }
+
+    this.entries = new Map(
+      Object.entries(lexicon.words).map(([word, entry]) => [word.toLowerCase(), this._normalizeEntry(word, entry)])
+    );
+    this.name = lexicon.name || 'Lexicon';
+    this.isLoaded = true;
+  }
+
+  /**
+   * Validates a lexicon entry
+   * @param {string} word - Word the entry is for
+   * @param {Object} entry - Raw { multiplier, lore } entry
+   * @returns {Object} Frozen entry
+   */
+  _normalizeEntry(word, entry) {
+    if (!(entry.multiplier >= 1)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.LEXICON_INVALID}: "${word}" needs a multiplier of at least 1`);
+    }
+
+    return Object.freeze({
+      word: word.toLowerCase(),
+      multiplier: entry.multiplier,
+      lore: entry.lore || ''
+    });
+  }
+
+  /**
+   * @param {string} word - Word to look up
+   * @returns {Object|null} { word, multiplier, lore }, or null for ordinary words
+   */
+  get(word) {
+    return this.entries.get(word.toLowerCase()) || null;
+  }
+
+  /**
+   * @param {string} word - Word to look up
+   * @returns {number} Score multiplier, 1 for ordinary words
+   */
+  getMultiplier(word) {
+    const entry = this.get(word);
+    return entry ? entry.multiplier : 1;
+  }
+
+  /**
+   * @returns {Array<Object>} Every entry, alphabetically
+   */
+  getEntries() {
+    return [...this.entries.values()].sort((a, b) => a.word.localeCompare(b.word));
+  }
+
+  getWordCount() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Game History
+ * One record per finished game, and the figures the stats panel draws from them.
+ * Pure data in and out: storing the records is up to the caller.
+ */
+class GameHistory {
+  /**
+   * The record kept for a finished game
+   * @param {Object} stats - From GameState.getGameStats
+   * @param {Object} outcome - { date, victory, lostTo } where lostTo is the boss that ended the game
+   * @returns {Object} JSON-safe history record
+   */
+  static createRecord(stats, { date, victory, lostTo = null }) {
+    return {
+      date,
+      mode: stats.mode,
+      difficulty: stats.difficulty,
+      character: stats.character,
+      scoringMode: stats.scoringMode,
+      wordList: stats.wordList,
+      score: stats.score,
+      victory,
+      lostTo: victory ? null : lostTo,
+      level: stats.level,
+      bossesDefeated: stats.bossesDefeated,
+      wordsFound: stats.wordsFound,
+      longestWord: stats.longestWord,
+      wordLengths: stats.wordLengths,
+      bestCombo: stats.bestCombo,
+      invalidAttempts: stats.invalidAttempts,
+      hintsUsed: stats.hintsUsed,
+      duration: stats.duration
+    };
+  }
+
+  /**
+   * Adds a record, dropping the oldest beyond HISTORY.MAX_GAMES
+   * @param {Array<Object>} records - Stored history, oldest first
+   * @param {Object} record - New record
+   * @returns {Array<Object>} Updated history
+   */
+  static append(records, record) {
+    return [...records, record].slice(-GAME_CONFIG.HISTORY.MAX_GAMES);
+  }
+
+  /**
+   * Everything the stats panel shows
+   * @param {Array<Object>} records - Stored history, oldest first
+   * @returns {Object} { games, totalWords, averageScore, trend, wordLengths, deaths, bests }
+   */
+  static summarize(records) {
+    const totalScore = records.reduce((sum, record) => sum + record.score, 0);
+
+    const lengthCounts = {};
+    const deathCounts = {};
+    records.forEach(record => {
+      Object.entries(record.wordLengths || {}).forEach(([length, count]) => {
+        lengthCounts[length] = (lengthCounts[length] || 0) + count;
+      });
+      if (record.lostTo) {
+        deathCounts[record.lostTo] = (deathCounts[record.lostTo] || 0) + 1;
+      }
+    });
+
+    return {
+      games: records.length,
+      totalWords: records.reduce((sum, record) => sum + record.wordsFound, 0),
+      averageScore: records.length > 0 ? Math.round(totalScore / records.length) : 0,
+      trend: records.slice(-GAME_CONFIG.HISTORY.TREND_GAMES).map(record => record.score),
+      wordLengths: Object.keys(lengthCounts)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(length => ({ length, count: lengthCounts[length] })),
+      deaths: Object.entries(deathCounts)
+        .map(([boss, count]) => ({ boss, count }))
+        .sort((a, b) => b.count - a.count || a.boss.localeCompare(b.boss)),
+      bests: Object.keys(GAME_CONFIG.DIFFICULTY).map(difficulty => ({
+        difficulty,
+        best: GameHistory.getPersonalBest(records.filter(record => record.difficulty === difficulty))
+      }))
+    };
+  }
+
+  /**
+   * Best score, with the longest word and best combo across the same games
+   * @param {Array<Object>} records - Games on one difficulty
+   * @returns {Object|null} { score, date, wordsFound, longestWord, bestCombo }, or null if none
+   */
+  static getPersonalBest(records) {
+    if (records.length === 0) return null;
+
+    const top = records.reduce((best, record) => record.score > best.score ? record : best);
+    return {
+      score: top.score,
+      date: top.date,
+      wordsFound: top.wordsFound,
+      longestWord: records.reduce((longest, record) =>
+        (record.longestWord || '').length > longest.length ? record.longestWord : longest, ''),
+      bestCombo: Math.max(...records.map(record => record.bestCombo || 0))
+    };
+  }
+}
+
+/**
+ * Round Summary
+ * The end-of-round review of the final board: every word it held, grouped
+ * by length, against the words the player found.
+ */
+class RoundSummary {
+  /**
+   * @param {Array<string>} possibleWords - Every word the board can spell, from the solver
+   * @param {Set<string>} foundWords - Words found on this board
+   * @param {Set<string>} invalidWords - Rejected attempts on this board
+   * @param {Function} getDefinition - word => definition text or null
+   * @returns {Object} { found, total, completion, longestMissed, groups, invalidWords }
+   */
+  static build(possibleWords, foundWords, invalidWords, getDefinition = () => null) {
+    const words = [...new Set([...possibleWords, ...foundWords])]
+      .sort((a, b) => a.length - b.length || a.localeCompare(b));
+    const missed = words.filter(word => !foundWords.has(word));
+
+    const groups = [];
+    words.forEach(word => {
+      let group = groups[groups.length - 1];
+      if (!group || group.length !== word.length) {
+        group = { length: word.length, found: 0, words: [] };
+        groups.push(group);
+      }
+      const found = foundWords.has(word);
+      if (found) group.found++;
+      group.words.push({ word, found, definition: getDefinition(word) });
+    });
+
+    return {
+      found: foundWords.size,
+      total: words.length,
+      completion: words.length > 0 ? Math.round(foundWords.size / words.length * 100) : 0,
+      longestMissed: missed.reduce((longest, word) => word.length > longest.length ? word : longest, '') || null,
+      groups,
+      invalidWords: [...invalidWords]
+    };
+  }
+}
+
+/**
+ * Hero Progression
+ * Experience, levels and the perks and cosmetics they unlock. Progress is plain
+ * data, { [hero]: { xp } }; storing it is up to the caller.
+ */
+class HeroProgression {
+  /**
+   * @param {Object} stats - From GameState.getGameStats
+   * @param {boolean} victory - Whether the whole campaign was beaten
+   * @returns {number} XP the game earns its hero
+   */
+  static getXpEarned(stats, victory) {
+    const { XP_PER_POINT, XP_PER_BOSS, XP_VICTORY } = GAME_CONFIG.HERO_PROGRESSION;
+    return Math.max(0, Math.round(stats.score * XP_PER_POINT)) +
+      stats.bossesDefeated * XP_PER_BOSS +
+      (victory ? XP_VICTORY : 0);
+  }
+
+  /**
+   * @param {Object} progress - Stored progress
+   * @param {string} hero - Character key
+   * @returns {number} The hero's XP, 0 if it has none yet
+   */
+  static getXp(progress, hero) {
+    const entry = progress && progress[hero];
+    return entry && Number.isFinite(entry.xp) && entry.xp > 0 ? entry.xp : 0;
+  }
+
+  /**
+   * @param {number} xp - Total XP
+   * @returns {number} Level reached, from 1
+   */
+  static getLevel(xp) {
+    return GAME_CONFIG.HERO_PROGRESSION.LEVELS.filter(threshold => xp >= threshold).length;
+  }
+
+  /**
+   * Where a hero stands, for the title-screen cards
+   * @param {Object} progress - Stored progress
+   * @param {string} hero - Character key
+   * @returns {Object} { xp, level, nextLevelXp (null at the top level), unlocks }
+   */
+  static describe(progress, hero) {
+    const xp = HeroProgression.getXp(progress, hero);
+    const level = HeroProgression.getLevel(xp);
+    const nextLevelXp = GAME_CONFIG.HERO_PROGRESSION.LEVELS[level];
+    return {
+      xp,
+      level,
+      nextLevelXp: nextLevelXp === undefined ? null : nextLevelXp,
+      unlocks: HeroProgression.getUnlocks(level)
+    };
+  }
+
+  /**
+   * Perks and cosmetics unlocked by a level, lowest level first
+   * @param {number} level - Hero level
+   * @param {number} fromLevel - Leave out what this level had already unlocked
+   * @returns {Array<Object>} { id, type: 'perk' or 'cosmetic', level, name }
+   */
+  static getUnlocks(level, fromLevel = 0) {
+    const perks = Object.entries(GAME_CONFIG.HERO_PERKS)
+      .map(([id, perk]) => ({ id, type: 'perk', level: perk.level, name: perk.name }));
+    const cosmetics = GAME_CONFIG.HERO_COSMETICS
+      .map(cosmetic => ({ id: cosmetic.id, type: 'cosmetic', level: cosmetic.level, name: cosmetic.name }));
+    return [...perks, ...cosmetics]
+      .filter(unlock => unlock.level > fromLevel && unlock.level <= level)
+      .sort((a, b) => a.level - b.level);
+  }
+
+  /**
+   * @param {number} level - Hero level
+   * @returns {Array<string>} Perk ids from GAME_CONFIG.HERO_PERKS
+   */
+  static getPerks(level) {
+    return Object.keys(GAME_CONFIG.HERO_PERKS).filter(id => GAME_CONFIG.HERO_PERKS[id].level <= level);
+  }
+
+  /**
+   * The look a level has unlocked, later unlocks winning
+   * @param {number} level - Hero level
+   * @returns {Object} { sparkColor, portraitFilter }, either missing if not unlocked
+   */
+  static getCosmetics(level) {
+    const looks = {};
+    GAME_CONFIG.HERO_COSMETICS
+      .filter(cosmetic => cosmetic.level <= level)
+      .forEach(({ sparkColor, portraitFilter }) => {
+        if (sparkColor) looks.sparkColor = sparkColor;
+        if (portraitFilter) looks.portraitFilter = portraitFilter;
+      });
+    return looks;
+  }
+
+  /**
+   * Adds XP to a hero
+   * @param {Object} progress - Stored progress
+   * @param {string} hero - Character key
+   * @param {number} xp - XP earned
+   * @returns {Object} { progress: updated copy, level, levelBefore, unlocks newly unlocked }
+   */
+  static addXp(progress, hero, xp) {
+    const before = HeroProgression.getXp(progress, hero);
+    const levelBefore = HeroProgression.getLevel(before);
+    const level = HeroProgression.getLevel(before + xp);
+    return {
+      progress: { ...progress, [hero]: { xp: before + xp } },
+      level,
+      levelBefore,
+      unlocks: HeroProgression.getUnlocks(level, levelBefore)
+    };
+  }
+}
+
+/**
+ * Achievements
+ * Listens to the game events published to it and unlocks the badges in
+ * GAME_CONFIG.ACHIEVEMENTS whose rules they meet. Storing the unlocks is up to
+ * whoever listens for 'unlocked'.
+ */
+class AchievementEngine {
+  /**
+   * Rule conditions by name: (value from the rule, event payload) => met
+   */
+  static get RULES() {
+    return {
+      boss: (boss, event) => event.boss === boss,
+      minLength: (length, event) => typeof event.word === 'string' && event.word.length >= length,
+      minCombo: (combo, event) => event.combo >= combo,
+      minMultiplier: (multiplier, event) => event.multiplier >= multiplier,
+      mode: (mode, event) => event.mode === mode,
+      difficulty: (difficulty, event) => event.difficulty === difficulty,
+      victory: (victory, event) => event.victory === victory,
+      // Runs started further on, from the dev selector or a shared code, aren't the whole campaign
+      fromFirstBoss: (fromFirstBoss, event) => (event.startBossIndex === 0) === fromFirstBoss,
+      maxHints: (hints, event) => event.hintsUsed <= hints
+    };
+  }
+
+  /**
+   * @param {Object} unlocked - Stored unlocks, { [id]: { unlockedOn } }
+   * @throws {Error} ACHIEVEMENT_INVALID if a badge's rule uses an unknown condition
+   */
+  constructor(unlocked = {}) {
+    Object.entries(GAME_CONFIG.ACHIEVEMENTS).forEach(([id, achievement]) => {
+      const unknown = Object.keys(achievement.rule).find(condition => !AchievementEngine.RULES[condition]);
+      if (unknown) {
+        throw new Error(`${GAME_CONFIG.ERRORS.ACHIEVEMENT_INVALID}: '${id}' has unknown condition '${unknown}'`);
+      }
+    });
+    this.listeners = {};
+    this.load(unlocked);
+  }
+
+  /**
+   * Switches to another player's unlocks
+   * @param {Object} unlocked - Stored unlocks, { [id]: { unlockedOn } }
+   */
+  load(unlocked) {
+    this.unlocked = {};
+    Object.entries(unlocked || {}).forEach(([id, record]) => {
+      if (GAME_CONFIG.ACHIEVEMENTS[id] && record) {
+        this.unlocked[id] = { unlockedOn: record.unlockedOn };
+      }
+    });
+  }
+
+  /**
+   * Checks a game event against the badges still locked, unlocking any it meets
+   * @param {string} event - Event name, e.g. 'wordFound'
+   * @param {Object} payload - What happened
+   * @returns {Array<string>} Ids of the badges just unlocked
+   */
+  publish(event, payload) {
+    const unlockedNow = Object.entries(GAME_CONFIG.ACHIEVEMENTS)
+      .filter(([id, achievement]) => !this.unlocked[id] && achievement.event === event &&
+        Object.entries(achievement.rule).every(([condition, value]) => AchievementEngine.RULES[condition](value, payload)))
+      .map(([id]) => id);
+
+    unlockedNow.forEach(id => {
+      this.unlocked[id] = { unlockedOn: Utils.getDateKey() };
+      Logger.info(`Achievement unlocked: ${id}`);
+      this._emit('unlocked', { id, achievement: GAME_CONFIG.ACHIEVEMENTS[id], unlocked: this.unlocked });
+    });
+    return unlockedNow;
+  }
+
+  isUnlocked(id) {
+    return Boolean(this.unlocked[id]);
+  }
+
+  /**
+   * Every badge for the Trophy Hall, in config order
+   * @returns {Array<Object>} { id, name, rune, description, unlockedOn (null while locked) }
+   */
+  getAll() {
+    return Object.entries(GAME_CONFIG.ACHIEVEMENTS).map(([id, achievement]) => ({
+      id,
+      name: achievement.name,
+      rune: achievement.rune,
+      description: achievement.description,
+      unlockedOn: this.unlocked[id] ? this.unlocked[id].unlockedOn : null
+    }));
+  }
+
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+  }
+
+  off(event, handler) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+    }
+  }
+
+  _emit(event, payload) {
+    (this.listeners[event] || []).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        Logger.error(`Error in achievement '${event}' handler:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * Player Profiles
+ * Named players sharing a device. Each profile's data lives under its own
+ * Storage namespace, so scores, settings and saves never mix.
+ */
+class ProfileManager {
+  /**
+   * Keys that belong to the device rather than a player
+   */
+  static get SHARED_KEYS() {
+    return [
+      GAME_CONFIG.STORAGE_KEYS.PROFILES,
+      GAME_CONFIG.STORAGE_KEYS.ACTIVE_PROFILE,
+      GAME_CONFIG.STORAGE_KEYS.DICTIONARY
+    ];
+  }
+
+  constructor() {
+    this.profiles = [];
+    this.activeId = null;
+    this.load();
+  }
+
+  /**
+   * Reads the profile list and activates the last player. The default
+   * profile always exists so data from before profiles stays reachable.
+   */
+  load() {
+    const stored = Storage.get(GAME_CONFIG.STORAGE_KEYS.PROFILES, []);
+    this.profiles = (Array.isArray(stored) ? stored : [])
+      .filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+      .map(profile => GAME_CONFIG.CHARACTERS[profile.avatar]
+        ? profile
+        : { ...profile, avatar: GAME_CONFIG.PROFILES.DEFAULT_AVATAR });
+    if (!this.get(GAME_CONFIG.PROFILES.DEFAULT_ID)) {
+      this.profiles.unshift({
+        id: GAME_CONFIG.PROFILES.DEFAULT_ID,
+        name: GAME_CONFIG.PROFILES.DEFAULT_NAME,
+        avatar: GAME_CONFIG.PROFILES.DEFAULT_AVATAR
+      });
+    }
+
+    const activeId = Storage.get(GAME_CONFIG.STORAGE_KEYS.ACTIVE_PROFILE);
+    this.select(this.get(activeId) ? activeId : GAME_CONFIG.PROFILES.DEFAULT_ID);
+  }
+
+  /**
+   * @param {string} id - Profile id
+   * @returns {Object|null} { id, name, avatar }
+   */
+  get(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  getProfiles() {
+    return this.profiles;
+  }
+
+  /**
+   * Makes a profile active and points Storage at its keys
+   * @param {string} id - Profile id
+   * @returns {Object|null} The profile, or null if there is no such profile
+   */
+  select(id) {
+    const profile = this.get(id);
+    if (!profile) return null;
+
+    this.activeId = id;
+    Storage.setNamespace(ProfileManager.getKeyPrefix(id), ProfileManager.SHARED_KEYS);
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.ACTIVE_PROFILE, id);
+    Logger.info(`Profile selected: ${profile.name}`);
+    return profile;
+  }
+
+  /**
+   * Adds a player; it still has to be selected
+   * @param {string} name - Display name
+   * @param {string} avatar - Character key
+   * @returns {Object} The new profile
+   * @throws {Error} If the name is empty, too long or taken, or the device is full
+   */
+  create(name, avatar) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > GAME_CONFIG.PROFILES.MAX_NAME_LENGTH) {
+      throw new Error(GAME_CONFIG.ERRORS.PROFILE_NAME_INVALID);
+    }
+    if (this.profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(GAME_CONFIG.ERRORS.PROFILE_NAME_TAKEN);
+    }
+    if (this.profiles.length >= GAME_CONFIG.PROFILES.MAX_PROFILES) {
+      throw new Error(GAME_CONFIG.ERRORS.PROFILE_LIMIT_REACHED);
+    }
+    if (!GAME_CONFIG.CHARACTERS[avatar]) {
+      throw new Error(GAME_CONFIG.ERRORS.INVALID_CHARACTER_SELECTION);
+    }
+
+    const profile = { id: Utils.generateId(), name: trimmed, avatar };
+    this.profiles.push(profile);
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.PROFILES, this.profiles);
+    return profile;
+  }
+
+  /**
+   * @param {string} id - Profile id
+   * @returns {string} Storage prefix for the profile's keys
+   */
+  static getKeyPrefix(id) {
+    return id === GAME_CONFIG.PROFILES.DEFAULT_ID
+      ? ''
+      : Utils.formatMessage(GAME_CONFIG.PROFILES.KEY_PREFIX, { id });
+  }
+}
+
+/**
+ * Audio Management
+ */
+class AudioManager {
+  constructor() {
+    this.sounds = {};
+    this.enabled = GAME_CONFIG.FEATURES.ENABLE_SOUND;
+    this.volume = GAME_CONFIG.AUDIO.DEFAULT_VOLUME;
+    this._loadSounds();
+  }
+
+  _loadSounds() {
+    try {
+      this.sounds.correctWord = new Audio(GAME_CONFIG.AUDIO.CORRECT_WORD);
+      this.sounds.correctWord.volume = this.volume;
+      this.sounds.correctWord.preload = 'auto';
+
+      if (GAME_CONFIG.AUDIO.WARP_SOUND) {
+        this.sounds.warp = new Audio(GAME_CONFIG.AUDIO.WARP_SOUND);
+        this.sounds.warp.volume = this.volume;
+        this.sounds.warp.preload = 'auto';
+      }
+
+      Logger.debug('Audio files loaded');
+    } catch (error) {
+      Logger.error('Error loading audio files:', error);
+    }
+  }
+
+  async play(soundName) {
+    if (!this.enabled || !this.sounds[soundName]) {
+      return;
+    }
+
+    try {
+      const sound = this.sounds[soundName];
+      sound.currentTime = 0; // Rewind to start
+      await sound.play();
+      Logger.debug(`Played sound: ${soundName}`);
+    } catch (error) {
+      Logger.warn(`Error playing sound ${soundName}:`, error);
+    }
+  }
+
+  /**
+   * Plays a boss's entrance sound at the boss's own volume
+   * @param {Object} boss - Boss definition
+   */
+  async playBossEntrance(boss) {
+    if (!this.enabled || !boss || !boss.sound) {
+      return;
+    }
+
+    try {
+      if (!this.bossEntrance) {
+        this.bossEntrance = new Audio();
+        this.bossEntrance.preload = 'auto';
+      }
+      this.bossEntrance.pause();
+      this.bossEntrance.src = boss.sound;
+      this.bossEntrance.currentTime = 0;
+      this.bossEntrance.volume = boss.volume || 1.0;
+      await this.bossEntrance.play();
+      Logger.debug(`Played boss entrance: ${boss.sound}`);
+    } catch (error) {
+      Logger.warn(`Error playing ${boss.sound}:`, error);
+    }
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled && this.bossEntrance) {
+      this.bossEntrance.pause();
+    }
+    Logger.debug(`Audio ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    Object.values(this.sounds).forEach(sound => {
+      sound.volume = this.volume;
+    });
+    Logger.debug(`Audio volume set to ${this.volume}`);
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+}
+
+/**
+ * Animation Manager
+ */
+class AnimationManager {
+  constructor() {
+    this.enabled = GAME_CONFIG.FEATURES.ENABLE_ANIMATIONS && !Utils.prefersReducedMotion();
+  }
+
+  animateElement(element, animationClass, duration = null) {
+    if (!this.enabled || !element) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const cleanup = () => {
+        element.classList.remove(animationClass);
+        element.removeEventListener('animationend', cleanup);
+        resolve();
+      };
+
+      element.addEventListener('animationend', cleanup);
+      element.classList.add(animationClass);
+
+      // Fallback timeout in case animationend doesn't fire
+      if (duration) {
+        setTimeout(cleanup, duration);
+      }
+    });
+  }
+
+  async animateLetterTiles(tiles) {
+    if (!this.enabled) return;
+
+    const promises = tiles.map((tile, index) => {
+      return new Promise((resolve) => {
+        setTimeout(() => {
+          this.animateElement(tile, 'animate-in', 400).then(resolve);
+        }, index * GAME_CONFIG.ANIMATION_DELAYS.LETTER_STAGGER);
+      });
+    });
+
+    await Promise.all(promises);
+  }
+
+  async animateScore(element) {
+    if (!this.enabled || !element) return;
+    
+    await this.animateElement(element, 'score-animated', 300);
+  }
+
+  async animateCharacterAttack(element) {
+    if (!this.enabled || !element) return;
+    
     await this.animateElement(element, 'attack-animation', GAME_CONFIG.ANIMATION_DELAYS.ATTACK_DURATION);
   }
 
-  async animateCharacterShake(elements) {
-    if (!this.enabled || !elements.length) return;
-    
-    const promises = elements.map(element => 
-      this.animateElement(element, 'shake-animation', GAME_CONFIG.ANIMATION_DELAYS.SHAKE_DURATION)
-    );
-    
-    await Promise.all(promises);
+  async animateCharacterShake(elements) {
+    if (!this.enabled || !elements.length) return;
+    
+    const promises = elements.map(element => 
+      this.animateElement(element, 'character-shake-animation', GAME_CONFIG.ANIMATION_DELAYS.SHAKE_DURATION)
+    );
+    
+    await Promise.all(promises);
+  }
+
+  async animateBossShake(element) {
+    if (!this.enabled || !element) return;
+
+    await this.animateElement(element, 'boss-shake-animation', GAME_CONFIG.ANIMATION_DELAYS.SHAKE_DURATION);
+  }
+
+  /**
+   * Bursts short-lived sparks from the middle of a container
+   * @param {HTMLElement} container - Element the sparks are positioned in
+   * @param {number} count - Number of sparks
+   * @param {string} className - Extra class for the spark colour
+   * @param {number} spread - Maximum travel distance in pixels
+   */
+  spawnSparks(container, count, className, spread = 100) {
+    if (!this.enabled || !container) return;
+
+    const sparks = [];
+    for (let i = 0; i < count; i++) {
+      const spark = document.createElement('div');
+      spark.classList.add('spark');
+      if (className) {
+        spark.classList.add(className);
+      }
+      spark.style.left = `calc(50% + ${Math.random() * 80 - 40}px)`;
+      spark.style.bottom = '50px';
+      spark.style.setProperty('--dx', `${(Math.random() - 0.5) * spread}px`);
+      spark.style.setProperty('--dy', `${(Math.random() - 0.5) * spread}px`);
+      spark.style.setProperty('--rotate', `${Math.random() * 360}deg`);
+      const size = 6 + Math.random() * 4;
+      spark.style.width = `${size}px`;
+      spark.style.height = `${size}px`;
+      container.appendChild(spark);
+      sparks.push(spark);
+    }
+
+    setTimeout(() => {
+      sparks.forEach(spark => spark.remove());
+    }, GAME_CONFIG.ANIMATION_DELAYS.SPARK_DURATION);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled && !Utils.prefersReducedMotion();
+    Logger.debug(`Animations ${this.enabled ? 'enabled' : 'disabled'}`);
+  }
+}
+
+/**
+ * UI Manager
+ */
+class UIManager {
+  constructor() {
+    this._renderCharacterCards();
+    this.elements = this._cacheElements();
+    this.animationManager = new AnimationManager();
+    this.bossAnimationTimers = [];
+    this.selectedTiles = []; // tile indices spelling the current word, in order
+    this.tileLetters = []; // letter per tile, kept out of the DOM so hidden tiles stay hidden
+    this.heroCosmetics = {}; // looks the hero in play has unlocked
+    this._setupEventListeners();
+  }
+
+  /**
+   * Builds a title-screen card for each hero in the character registry
+   */
+  _renderCharacterCards() {
+    const container = document.getElementById('character-selection');
+    if (!container) return;
+
+    container.innerHTML = '';
+    Object.entries(GAME_CONFIG.CHARACTERS).forEach(([id, character]) => {
+      const card = document.createElement('div');
+      card.className = 'character-card';
+      card.id = `${id}-card`;
+      card.setAttribute('role', 'radio');
+      card.setAttribute('tabindex', '0');
+      card.setAttribute('aria-checked', 'false');
+
+      const image = document.createElement('img');
+      image.src = character.image;
+      image.alt = character.name;
+      const name = document.createElement('h3');
+      name.textContent = character.name;
+      const ability = document.createElement('p');
+      ability.className = 'character-ability';
+      const abilityName = document.createElement('strong');
+      abilityName.textContent = character.ability.name;
+      ability.append(abilityName, ` ${character.ability.description}`);
+
+      const progress = document.createElement('p');
+      progress.className = 'character-progress';
+      progress.id = `${id}-progress`;
+
+      card.append(image, name, ability, progress);
+      container.appendChild(card);
+    });
+  }
+
+  _cacheElements() {
+    const elements = {};
+    const elementIds = [
+      'title-screen', 'game-container', 'loading-overlay', 'confetti-container',
+      'letter-tiles', 'word-input', 'submit-word-button', 'shuffle-letters-button',
+      'new-game-button', 'score', 'timer', 'message', 'found-words-list',
+      'invalid-words-list', 'found-words-count',
+      ...Object.keys(GAME_CONFIG.CHARACTERS).map(id => `${id}-card`),
+      ...Object.keys(GAME_CONFIG.CHARACTERS).map(id => `${id}-progress`),
+      'start-game-button', 'character-display', 'chosen-character-img',
+      'boss-display', 'boss-img', 'boss-health-bar', 'battle-area',
+      'level-display', 'combo-display', 'hint-button', 'special-ability-button',
+      'easy-button', 'medium-button', 'hard-button', 'boss-select',
+      'daily-rune-button', 'end-game-actions', 'challenge-button',
+      'update-prompt', 'update-message', 'update-reload-button', 'update-dismiss-button',
+      'word-list-select', 'word-list-upload', 'word-list-status',
+      'lore-button', 'lore-panel', 'lore-progress', 'lore-list', 'lore-close-button',
+      'stats-button', 'stats-panel', 'stats-totals', 'stats-details', 'stats-trend',
+      'stats-word-lengths', 'stats-deaths', 'stats-bests', 'stats-close-button',
+      'trophy-button', 'trophy-panel', 'trophy-progress', 'trophy-list', 'trophy-close-button',
+      'achievement-toasts',
+      'summary-button', 'summary-panel', 'summary-completion', 'summary-longest-missed',
+      'summary-groups', 'summary-invalid', 'summary-close-button',
+      'length-scoring-button', 'letters-scoring-button',
+      'backspace-button', 'clear-word-button', 'reroll-button',
+      'ability-meter', 'ability-meter-fill', 'ability-meter-label',
+      'pause-button', 'pause-overlay', 'resume-button', 'input-area',
+      'continue-button', 'profile-select', 'profile-avatar', 'profile-name-input',
+      'profile-avatar-select', 'create-profile-button', 'profile-status'
+    ];
+
+    elementIds.forEach(id => {
+      elements[id] = Utils.safeGetElement(id);
+    });
+
+    return elements;
+  }
+
+  _setupEventListeners() {
+    // Handle window resize
+    window.addEventListener('resize', Utils.debounce(() => {
+      Logger.debug('Window resized');
+      // Could adjust UI layout here
+    }, 250));
+  }
+
+  showTitleScreen() {
+    if (this.elements['title-screen']) {
+      this.elements['title-screen'].style.display = 'flex';
+      this.elements['title-screen'].classList.add('visible');
+    }
+    if (this.elements['game-container']) {
+      this.elements['game-container'].style.display = 'none';
+      this.elements['game-container'].classList.remove('visible');
+    }
+    this._clearBossAnimations();
+    Logger.debug('Title screen shown');
+  }
+
+  showGameScreen() {
+    if (this.elements['title-screen']) {
+      this.elements['title-screen'].style.display = 'none';
+      this.elements['title-screen'].classList.remove('visible');
+    }
+    if (this.elements['game-container']) {
+      this.elements['game-container'].style.display = 'flex';
+      this.elements['game-container'].classList.add('visible');
+    }
+    Logger.debug('Game screen shown');
+  }
+
+  showLoading(show = true) {
+    if (this.elements['loading-overlay']) {
+      this.elements['loading-overlay'].style.display = show ? 'flex' : 'none';
+    }
+  }
+
+  updateScore(score) {
+    if (this.elements['score']) {
+      const oldScore = parseInt(this.elements['score'].textContent) || 0;
+      this.elements['score'].textContent = score;
+      
+      if (score > oldScore) {
+        this.animationManager.animateScore(this.elements['score']);
+      }
+    }
+  }
+
+  updateTimer(timeLeft) {
+    if (this.elements['timer']) {
+      this.elements['timer'].textContent = Utils.formatTime(timeLeft);
+      
+      // Add warning class for last 30 seconds
+      if (Number.isFinite(timeLeft) && timeLeft <= 30) {
+        this.elements['timer'].classList.add('warning');
+      } else {
+        this.elements['timer'].classList.remove('warning');
+      }
+    }
+  }
+
+  updateFoundWordsCount(count) {
+    if (this.elements['found-words-count']) {
+      this.elements['found-words-count'].textContent = count;
+    }
+  }
+
+  updateCombo(multiplier) {
+    if (this.elements['combo-display']) {
+      this.elements['combo-display'].textContent = `x${multiplier}`;
+    }
+  }
+
+  updateLevel(level) {
+    if (this.elements['level-display']) {
+      this.elements['level-display'].textContent = level;
+    }
+  }
+
+  showMessage(message, type = 'info', duration = GAME_CONFIG.ANIMATION_DELAYS.MESSAGE_DURATION) {
+    if (!this.elements['message']) return;
+
+    const messageElement = this.elements['message'];
+    
+    // Clear previous classes and animation
+    messageElement.classList.remove('message-success', 'message-error', 'message-info');
+    messageElement.style.opacity = '0';
+    void messageElement.offsetWidth; // Force reflow so the flash animation restarts
+    
+    // Set new message and type
+    messageElement.textContent = message;
+    messageElement.classList.add(`message-${type}`);
+    
+    // Announce to screen readers
+    Utils.announceToScreenReader(message, type === 'error' ? 'assertive' : 'polite');
+    
+    Logger.debug(`Message shown: ${message} (${type})`);
+  }
+
+  /**
+   * Renders the letter board
+   * @param {Array<string>} letters - Letter tiles
+   * @param {Array<Object|null>} tileEffects - Boss effect per tile ('hidden', 'frozen', 'locked')
+   * @param {boolean} animate - Whether tiles animate in (skip for in-place updates)
+   * @param {Array<string|null>} runeStones - Rune stone type per tile
+   * @param {boolean} showValues - Whether to print letter values, for 'letters' scoring
+   */
+  renderLetters(letters, tileEffects = [], animate = true, runeStones = [], showValues = false) {
+    if (!this.elements['letter-tiles']) return;
+
+    const container = this.elements['letter-tiles'];
+    container.innerHTML = ''; // Clear previous letters
+    this.tileLetters = letters.map(letter => letter.toLowerCase());
+
+    const tiles = letters.map((letter, index) => {
+      const effect = tileEffects[index];
+      const stone = runeStones[index] ? GAME_CONFIG.RUNE_STONES.TYPES[runeStones[index]] : null;
+      const upper = letter.toUpperCase();
+      const tile = document.createElement('div');
+      tile.classList.add('letter-tile');
+      tile.textContent = upper;
+      tile.setAttribute('role', 'button');
+      tile.setAttribute('tabindex', '0');
+
+      let label = `Letter ${upper}`;
+      if (showValues && !(effect && effect.state === 'hidden')) {
+        const value = LetterGenerator.getLetterValue(upper);
+        const valueBadge = document.createElement('span');
+        valueBadge.className = 'tile-value';
+        valueBadge.textContent = value;
+        valueBadge.setAttribute('aria-hidden', 'true');
+        tile.appendChild(valueBadge);
+        label = Utils.formatMessage(GAME_CONFIG.MESSAGES.TILE_VALUE, { letter: label, value });
+      }
+      if (stone) {
+        const stoneBadge = document.createElement('span');
+        stoneBadge.className = 'rune-stone-badge';
+        stoneBadge.textContent = stone.label;
+        stoneBadge.setAttribute('aria-hidden', 'true');
+        tile.appendChild(stoneBadge);
+        tile.classList.add('rune-stone', `rune-stone-${runeStones[index]}`);
+        label = Utils.formatMessage(GAME_CONFIG.MESSAGES.RUNE_STONE_TILE, { label, stone: stone.name });
+      }
+      tile.setAttribute('aria-label', label);
+
+      // Hidden tiles can still be spelled with, as in GameState.getUsableLetters
+      if (effect && effect.state === 'hidden') {
+        tile.classList.add('tile-hidden');
+        tile.firstChild.textContent = '?';
+        tile.setAttribute('aria-label', stone
+          ? Utils.formatMessage(GAME_CONFIG.MESSAGES.RUNE_STONE_TILE, { label: GAME_CONFIG.MESSAGES.TILE_HIDDEN, stone: stone.name })
+          : GAME_CONFIG.MESSAGES.TILE_HIDDEN);
+      } else if (effect) {
+        const effectLabel = effect.state === 'frozen' ? GAME_CONFIG.MESSAGES.TILE_FROZEN : GAME_CONFIG.MESSAGES.TILE_LOCKED;
+        tile.classList.add(`tile-${effect.state}`);
+        tile.setAttribute('aria-disabled', 'true');
+        tile.setAttribute('aria-label', Utils.formatMessage(effectLabel, { letter: upper }));
+        container.appendChild(tile);
+        return tile;
+      }
+      
+      tile.setAttribute('aria-pressed', 'false');
+      container.appendChild(tile);
+      return tile;
+    });
+
+    // Indices are stale once the board changes, so match the typed word to the new tiles
+    this.selectedTiles = [];
+    this.syncTileSelection();
+
+    // Animate tiles appearing
+    if (animate) {
+      this.animationManager.animateLetterTiles(tiles);
+    }
+  }
+
+  /**
+   * @param {Element} element - A tile or anything inside one
+   * @returns {number} Index of the tile, or -1
+   */
+  getTileIndex(element) {
+    const container = this.elements['letter-tiles'];
+    const tile = element && element.closest ? element.closest('.letter-tile') : null;
+    if (!container || !tile) return -1;
+    return Array.prototype.indexOf.call(container.children, tile);
+  }
+
+  /**
+   * Finds the tile under a pointer, which during a drag is not the event target
+   * @param {number} x - Client x coordinate
+   * @param {number} y - Client y coordinate
+   * @returns {number} Index of the tile, or -1
+   */
+  getTileIndexAt(x, y) {
+    return this.getTileIndex(document.elementFromPoint(x, y));
+  }
+
+  /**
+   * Adds a tile's letter to the word. Each tile can be used once, so a word
+   * never needs more of a letter than the board holds.
+   * @param {number} index - Tile index
+   * @returns {boolean} True if the tile was free and the letter was added
+   */
+  selectTile(index) {
+    const container = this.elements['letter-tiles'];
+    const input = this.elements['word-input'];
+    const tile = container ? container.children[index] : null;
+    if (!tile || !input || input.disabled) return false;
+    if (tile.getAttribute('aria-disabled') === 'true' || this.selectedTiles.includes(index)) return false;
+
+    const maxLength = parseInt(input.getAttribute('maxlength')) || GAME_CONFIG.MAX_WORD_LENGTH;
+    if (input.value.length >= maxLength) return false;
+
+    input.value += this.tileLetters[index];
+    this.selectedTiles.push(index);
+    this._markSelectedTiles();
+    return true;
+  }
+
+  /**
+   * @returns {number} Index of the tile spelling the last letter, or -1
+   */
+  getLastSelectedTile() {
+    const last = this.selectedTiles[this.selectedTiles.length - 1];
+    return last === undefined || last === null ? -1 : last;
+  }
+
+  removeLastLetter() {
+    const input = this.elements['word-input'];
+    if (!input || input.value.length === 0) return;
+    input.value = input.value.slice(0, -1);
+    this.syncTileSelection();
+  }
+
+  /**
+   * Matches the selection to the input after typing or a board change: tiles already
+   * chosen keep their letters, and further letters take the first free tile that fits.
+   * A letter with no free tile gets null, so indices stay in step with the input.
+   */
+  syncTileSelection() {
+    const container = this.elements['letter-tiles'];
+    const input = this.elements['word-input'];
+    if (!container || !input) return;
+
+    const word = input.value.toLowerCase();
+    const tiles = Array.from(container.children);
+    const selected = [];
+    const isFree = (tile, index) => tile.getAttribute('aria-disabled') !== 'true' && !selected.includes(index);
+
+    for (let i = 0; i < word.length; i++) {
+      const previous = this.selectedTiles[i];
+      if (previous !== undefined && tiles[previous] && this.tileLetters[previous] === word[i] &&
+          isFree(tiles[previous], previous)) {
+        selected.push(previous);
+        continue;
+      }
+      const index = tiles.findIndex((tile, tileIndex) => this.tileLetters[tileIndex] === word[i] && isFree(tile, tileIndex));
+      selected.push(index === -1 ? null : index);
+    }
+
+    this.selectedTiles = selected;
+    this._markSelectedTiles();
+  }
+
+  _markSelectedTiles() {
+    const container = this.elements['letter-tiles'];
+    if (!container) return;
+    Array.from(container.children).forEach((tile, index) => {
+      const isSelected = this.selectedTiles.includes(index);
+      tile.classList.toggle('tile-selected', isSelected);
+      if (tile.getAttribute('aria-disabled') !== 'true') {
+        tile.setAttribute('aria-pressed', String(isSelected));
+      }
+    });
+  }
+
+  /**
+   * @param {string} word - Found word
+   * @param {Object} lore - Lexicon entry for mythic words, shown as a tooltip
+   */
+  addFoundWord(word, lore = null) {
+    if (!this.elements['found-words-list']) return;
+
+    const listItem = document.createElement('li');
+    listItem.textContent = word.toUpperCase();
+    listItem.setAttribute('role', 'listitem');
+    if (lore) {
+      listItem.classList.add('lore-word');
+      listItem.title = lore.lore;
+      listItem.setAttribute('aria-description', lore.lore);
+    }
+    this.elements['found-words-list'].prepend(listItem);
+  }
+
+  addInvalidWord(word) {
+    if (!word || !this.elements['invalid-words-list']) return;
+
+    const listItem = document.createElement('li');
+    listItem.textContent = word.toUpperCase();
+    listItem.setAttribute('role', 'listitem');
+    this.elements['invalid-words-list'].prepend(listItem);
+  }
+
+  clearWordLists() {
+    if (this.elements['found-words-list']) {
+      this.elements['found-words-list'].innerHTML = '';
+    }
+    if (this.elements['invalid-words-list']) {
+      this.elements['invalid-words-list'].innerHTML = '';
+    }
+  }
+
+  clearInput() {
+    if (this.elements['word-input']) {
+      this.elements['word-input'].value = '';
+    }
+    this.selectedTiles = [];
+    this._markSelectedTiles();
+    this.showWordFeedback([]);
+  }
+
+  /**
+   * Flags a word that uses letters the board can't supply; the input shakes each time it gets worse
+   * @param {Array<string>} missingLetters - From LetterGenerator.getMissingLetters
+   */
+  showWordFeedback(missingLetters) {
+    const input = this.elements['word-input'];
+    if (!input) return;
+
+    const previousCount = parseInt(input.dataset.missingCount) || 0;
+    input.dataset.missingCount = missingLetters.length;
+    input.classList.toggle('input-invalid', missingLetters.length > 0);
+    input.setAttribute('aria-invalid', String(missingLetters.length > 0));
+
+    if (missingLetters.length > previousCount) {
+      // Restart the animation even if the input is still shaking
+      input.classList.remove('input-shake');
+      void input.offsetWidth;
+      input.classList.add('input-shake');
+      const letter = missingLetters[missingLetters.length - 1].toUpperCase();
+      Utils.announceToScreenReader(Utils.formatMessage(GAME_CONFIG.MESSAGES.LETTER_UNAVAILABLE, { letter }), 'polite');
+    }
+  }
+
+  focusInput() {
+    if (this.elements['word-input']) {
+      this.elements['word-input'].focus();
+    }
+  }
+
+  setInputEnabled(enabled) {
+    if (this.elements['word-input']) {
+      this.elements['word-input'].disabled = !enabled;
+    }
+    if (this.elements['submit-word-button']) {
+      this.elements['submit-word-button'].disabled = !enabled;
+    }
+    if (this.elements['shuffle-letters-button']) {
+      this.elements['shuffle-letters-button'].disabled = !enabled;
+    }
+    ['backspace-button', 'clear-word-button', 'reroll-button', 'pause-button'].forEach(id => {
+      if (this.elements[id]) {
+        this.elements[id].disabled = !enabled;
+      }
+    });
+    this.setHintEnabled(enabled);
+    if (this.elements['special-ability-button']) {
+      this.elements['special-ability-button'].disabled = !enabled;
+    }
+  }
+
+  /**
+   * Covers the board while paused. The letters are blurred so the board can't be
+   * studied, and the play area is made inert so nothing can be typed or clicked.
+   * @param {boolean} paused - Whether the game is paused
+   */
+  showPauseOverlay(paused) {
+    const overlay = this.elements['pause-overlay'];
+    if (overlay) {
+      overlay.hidden = !paused;
+    }
+    if (this.elements['game-container']) {
+      this.elements['game-container'].classList.toggle('paused', paused);
+    }
+    ['letter-tiles', 'input-area'].forEach(id => {
+      if (this.elements[id]) {
+        this.elements[id].inert = paused;
+      }
+    });
+    const pauseButton = this.elements['pause-button'];
+    if (pauseButton) {
+      pauseButton.textContent = paused ? GAME_CONFIG.MESSAGES.RESUME_BUTTON : GAME_CONFIG.MESSAGES.PAUSE_BUTTON;
+      pauseButton.setAttribute('aria-pressed', String(paused));
+    }
+    if (paused && this.elements['resume-button']) {
+      this.elements['resume-button'].focus();
+    }
+  }
+
+  setHintEnabled(enabled) {
+    if (this.elements['hint-button']) {
+      this.elements['hint-button'].disabled = !enabled;
+    }
+  }
+
+  /**
+   * Shows or hides the hint button and labels it with the next hint's cost
+   * @param {Object} settings - Difficulty settings from GAME_CONFIG.DIFFICULTY
+   * @param {number} cost - Points the next hint costs; defaults to the first tier's
+   */
+  updateHintButton(settings, cost = Hints.getCost(settings, 0)) {
+    const hintButton = this.elements['hint-button'];
+    if (!hintButton) return;
+
+    if (!settings.hintsEnabled) {
+      hintButton.style.display = 'none';
+      return;
+    }
+
+    hintButton.style.display = 'block';
+    hintButton.textContent = cost > 0
+      ? Utils.formatMessage(GAME_CONFIG.MESSAGES.HINT_BUTTON_COST, { cost })
+      : GAME_CONFIG.MESSAGES.HINT_BUTTON;
+  }
+
+  /**
+   * Lights the tiles a hint points to
+   * @param {Array<number>} indices - Tile indices, empty to clear
+   */
+  highlightHintTiles(indices) {
+    const container = this.elements['letter-tiles'];
+    if (!container) return;
+    Array.from(container.children).forEach((tile, index) => {
+      tile.classList.toggle('tile-hinted', indices.includes(index));
+    });
+  }
+
+  /**
+   * Shows each hero's level, XP and unlocks on the title-screen cards
+   * @param {Object} heroes - HeroProgression.describe result per character key
+   */
+  updateHeroProgress(heroes) {
+    Object.entries(heroes).forEach(([id, hero]) => {
+      const element = this.elements[`${id}-progress`];
+      if (!element) return;
+
+      const progress = hero.nextLevelXp === null
+        ? Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_PROGRESS_MAX, { level: hero.level, xp: hero.xp })
+        : Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_PROGRESS, { level: hero.level, xp: hero.xp, next: hero.nextLevelXp });
+      const unlocks = document.createElement('small');
+      unlocks.textContent = hero.unlocks.length > 0
+        ? Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_UNLOCKS, { unlocks: hero.unlocks.map(unlock => unlock.name).join(', ') })
+        : '';
+      element.replaceChildren(progress, unlocks);
+    });
+  }
+
+  /**
+   * Dresses the hero in play in the looks it has unlocked
+   * @param {Object} looks - From HeroProgression.getCosmetics
+   */
+  setHeroCosmetics(looks) {
+    this.heroCosmetics = looks;
+    if (this.elements['chosen-character-img']) {
+      this.elements['chosen-character-img'].style.filter = looks.portraitFilter || '';
+    }
+  }
+
+  /**
+   * @param {boolean} show - Whether the free reroll can be used
+   */
+  showRerollButton(show) {
+    if (this.elements['reroll-button']) {
+      this.elements['reroll-button'].hidden = !show;
+    }
+  }
+
+  updateAbilityButton(label, disabled = false) {
+    const abilityButton = this.elements['special-ability-button'];
+    if (!abilityButton) return;
+
+    abilityButton.style.display = 'block';
+    abilityButton.textContent = label;
+    abilityButton.disabled = disabled;
+  }
+
+  /**
+   * Sweeps a ring around the ability button while it recharges
+   * @param {number} remaining - Milliseconds until it is ready; 0 clears the ring
+   * @param {number} total - Length of the whole cooldown in milliseconds
+   */
+  showAbilityCooldown(remaining, total) {
+    const abilityButton = this.elements['special-ability-button'];
+    if (!abilityButton) return;
+
+    abilityButton.classList.remove('cooling');
+    if (remaining <= 0 || total <= 0) return;
+
+    // A negative delay starts the sweep part-way, e.g. after a pause or a continued save
+    abilityButton.style.setProperty('--cooldown-duration', `${total}ms`);
+    abilityButton.style.setProperty('--cooldown-delay', `${remaining - total}ms`);
+    void abilityButton.offsetWidth;
+    abilityButton.classList.add('cooling');
+  }
+
+  /**
+   * Fill the ability meter, marking how much the ability costs
+   * @param {number} meter - Current meter
+   * @param {number} cost - Meter the ability costs
+   * @param {string} resource - Meter name, e.g. 'Rage'
+   */
+  updateAbilityMeter(meter, cost, resource) {
+    const { MAX } = GAME_CONFIG.ABILITY_METER;
+    const bar = this.elements['ability-meter'];
+    if (bar) {
+      bar.setAttribute('aria-valuenow', meter);
+      bar.setAttribute('aria-valuetext', Utils.formatMessage(GAME_CONFIG.MESSAGES.ABILITY_METER, { meter, max: MAX }));
+      bar.style.setProperty('--ability-cost', `${Math.min(100, cost / MAX * 100)}%`);
+      bar.classList.toggle('full', meter >= cost);
+    }
+    if (this.elements['ability-meter-fill']) {
+      this.elements['ability-meter-fill'].style.width = `${meter / MAX * 100}%`;
+    }
+    if (this.elements['ability-meter-label']) {
+      this.elements['ability-meter-label'].textContent = resource;
+    }
+  }
+
+  selectDifficulty(difficulty, settings) {
+    Object.keys(GAME_CONFIG.DIFFICULTY).forEach(key => {
+      const button = this.elements[`${key}-button`];
+      if (button) {
+        button.classList.toggle('selected', key === difficulty);
+        button.setAttribute('aria-pressed', key === difficulty ? 'true' : 'false');
+      }
+    });
+
+    this.updateHintButton(settings);
+  }
+
+  /**
+   * Fill the title-screen word list selector
+   * @param {Object} wordLists - GAME_CONFIG.WORD_LISTS
+   * @param {string} selected - Key of the list in use
+   */
+  populateWordListSelector(wordLists, selected) {
+    const select = this.elements['word-list-select'];
+    if (!select) return;
+
+    Object.entries(wordLists).forEach(([id, wordList]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = wordList.name;
+      select.appendChild(option);
+    });
+    this.selectWordList(selected);
+  }
+
+  selectWordList(id) {
+    const select = this.elements['word-list-select'];
+    if (select) {
+      select.value = id;
+    }
   }
 
-  setEnabled(enabled) {
-    this.enabled = enabled && !Utils.prefersReducedMotion();
-    Logger.debug(`Animations ${this.enabled ? 'enabled' : 'disabled'}`);
+  /**
+   * List the players and show the active one's avatar
+   * @param {Array<Object>} profiles - From ProfileManager
+   * @param {Object} active - The active profile
+   */
+  updateProfilePicker(profiles, active) {
+    const select = this.elements['profile-select'];
+    if (select) {
+      select.innerHTML = '';
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+      select.value = active.id;
+    }
+
+    const avatar = this.elements['profile-avatar'];
+    if (avatar) {
+      const character = GAME_CONFIG.CHARACTERS[active.avatar];
+      avatar.src = character.image;
+      avatar.alt = character.name;
+    }
+
+    const avatarSelect = this.elements['profile-avatar-select'];
+    if (avatarSelect && avatarSelect.options.length === 0) {
+      Object.entries(GAME_CONFIG.CHARACTERS).forEach(([id, character]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = character.name;
+        avatarSelect.appendChild(option);
+      });
+    }
   }
-}
 
-/**
- * UI Manager
- */
-class UIManager {
-  constructor() {
-    this.elements = this._cacheElements();
-    this.animationManager = new AnimationManager();
-    this._setupEventListeners();
+  /**
+   * @param {string} text - Result of switching or adding a player
+   * @param {boolean} isError - Whether it failed
+   */
+  updateProfileStatus(text, isError = false) {
+    const status = this.elements['profile-status'];
+    if (!status) return;
+
+    status.textContent = text;
+    status.classList.toggle('error', isError);
   }
 
-  _cacheElements() {
-    const elements = {};
-    const elementIds = [
-      'title-screen', 'game-container', 'loading-overlay', 'confetti-container',
-      'letter-tiles', 'word-input', 'submit-word-button', 'shuffle-letters-button',
-      'new-game-button', 'score', 'timer', 'message', 'found-words-list',
-      'invalid-words-list', 'found-words-count', 'viking-card', 'valkyrie-card',
-      'start-game-button', 'character-display', 'chosen-character-img',
-      'boss-display', 'fenrir-img'
-    ];
+  /**
+   * Show the word list's load state under the selector
+   * @param {string} text - Status text
+   * @param {boolean} isError - Whether the list failed to load
+   */
+  updateWordListStatus(text, isError = false) {
+    const status = this.elements['word-list-status'];
+    if (!status) return;
 
-    elementIds.forEach(id => {
-      elements[id] = Utils.safeGetElement(id);
-    });
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
 
-    return elements;
+  /**
+   * Show how much of the lexicon has been discovered on the Lore button
+   * @param {number} found - Discovered words
+   * @param {number} total - Words in the lexicon
+   */
+  updateLoreButton(found, total) {
+    const button = this.elements['lore-button'];
+    if (!button) return;
+
+    button.textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.LORE_BUTTON, { found, total });
+    button.disabled = total === 0;
   }
 
-  _setupEventListeners() {
-    // Handle visibility change (tab switching)
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        Logger.debug('Page hidden - could pause game here');
+  /**
+   * Fill the Lore panel; undiscovered words stay hidden
+   * @param {Array<Object>} entries - Lexicon entries
+   * @param {Object} discovered - Discoveries keyed by word, from storage
+   */
+  renderLorePanel(entries, discovered) {
+    const list = this.elements['lore-list'];
+    if (!list) return;
+
+    list.innerHTML = '';
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const record = discovered[entry.word];
+
+      if (record) {
+        const word = document.createElement('strong');
+        word.textContent = entry.word.toUpperCase();
+        const multiplier = document.createElement('span');
+        multiplier.className = 'lore-multiplier';
+        multiplier.textContent = ` x${entry.multiplier}`;
+        const text = document.createElement('p');
+        text.textContent = entry.lore;
+        const found = document.createElement('small');
+        found.textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.LORE_FOUND_ON, {
+          date: record.firstFound,
+          count: record.timesFound
+        });
+        item.append(word, multiplier, text, found);
       } else {
-        Logger.debug('Page visible - could resume game here');
+        item.className = 'undiscovered';
+        item.textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.LORE_UNDISCOVERED, { length: entry.word.length });
       }
+      list.appendChild(item);
     });
 
-    // Handle window resize
-    window.addEventListener('resize', Utils.debounce(() => {
-      Logger.debug('Window resized');
-      // Could adjust UI layout here
-    }, 250));
+    if (this.elements['lore-progress']) {
+      this.elements['lore-progress'].textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.LORE_PROGRESS, {
+        found: entries.filter(entry => discovered[entry.word]).length,
+        total: entries.length
+      });
+    }
   }
 
-  showTitleScreen() {
-    if (this.elements['title-screen']) {
-      this.elements['title-screen'].style.display = 'flex';
-      this.elements['title-screen'].classList.add('visible');
-    }
-    if (this.elements['game-container']) {
-      this.elements['game-container'].style.display = 'none';
-      this.elements['game-container'].classList.remove('visible');
+  showLorePanel(show) {
+    const panel = this.elements['lore-panel'];
+    if (!panel) return;
+
+    panel.hidden = !show;
+    if (show && this.elements['lore-close-button']) {
+      this.elements['lore-close-button'].focus();
+    } else if (!show && this.elements['lore-button']) {
+      this.elements['lore-button'].focus();
     }
-    Logger.debug('Title screen shown');
   }
 
-  showGameScreen() {
-    if (this.elements['title-screen']) {
-      this.elements['title-screen'].style.display = 'none';
-      this.elements['title-screen'].classList.remove('visible');
+  isLorePanelOpen() {
+    return Boolean(this.elements['lore-panel'] && !this.elements['lore-panel'].hidden);
+  }
+
+  /**
+   * Fill the stats panel from the game history summary
+   * @param {Object} summary - From GameHistory.summarize
+   */
+  renderStatsPanel(summary) {
+    const { MESSAGES } = GAME_CONFIG;
+    const empty = summary.games === 0;
+
+    if (this.elements['stats-totals']) {
+      this.elements['stats-totals'].textContent = empty
+        ? MESSAGES.STATS_EMPTY
+        : Utils.formatMessage(MESSAGES.STATS_TOTALS, {
+          games: summary.games,
+          words: summary.totalWords,
+          average: summary.averageScore
+        });
     }
-    if (this.elements['game-container']) {
-      this.elements['game-container'].style.display = 'flex';
-      this.elements['game-container'].classList.add('visible');
+    if (this.elements['stats-details']) {
+      this.elements['stats-details'].hidden = empty;
     }
-    Logger.debug('Game screen shown');
-  }
+    if (empty) return;
 
-  showLoading(show = true) {
-    if (this.elements['loading-overlay']) {
-      this.elements['loading-overlay'].style.display = show ? 'flex' : 'none';
+    this._renderScoreTrend(summary.trend);
+
+    const lengths = this.elements['stats-word-lengths'];
+    if (lengths) {
+      lengths.innerHTML = '';
+      const most = Math.max(...summary.wordLengths.map(entry => entry.count));
+      summary.wordLengths.forEach(({ length, count }) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = Utils.formatMessage(MESSAGES.STATS_WORD_LENGTH, { length });
+        const bar = document.createElement('span');
+        bar.className = 'stats-bar';
+        bar.style.width = `${Math.round(count / most * 100)}%`;
+        const value = document.createElement('span');
+        value.textContent = count;
+        item.append(label, bar, value);
+        lengths.appendChild(item);
+      });
     }
-  }
 
-  updateScore(score) {
-    if (this.elements['score']) {
-      const oldScore = parseInt(this.elements['score'].textContent) || 0;
-      this.elements['score'].textContent = score;
-      
-      if (score > oldScore) {
-        this.animationManager.animateScore(this.elements['score']);
+    const deaths = this.elements['stats-deaths'];
+    if (deaths) {
+      deaths.innerHTML = '';
+      if (summary.deaths.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = MESSAGES.STATS_NO_DEATHS;
+        deaths.appendChild(item);
       }
+      summary.deaths.forEach(death => {
+        const item = document.createElement('li');
+        item.textContent = Utils.formatMessage(MESSAGES.STATS_DEATH, death);
+        deaths.appendChild(item);
+      });
     }
-  }
 
-  updateTimer(timeLeft) {
-    if (this.elements['timer']) {
-      this.elements['timer'].textContent = Utils.formatTime(timeLeft);
-      
-      // Add warning class for last 30 seconds
-      if (timeLeft <= 30) {
-        this.elements['timer'].classList.add('warning');
-      } else {
-        this.elements['timer'].classList.remove('warning');
-      }
+    const bests = this.elements['stats-bests'];
+    if (bests) {
+      bests.innerHTML = '';
+      summary.bests.forEach(({ difficulty, best }) => {
+        const term = document.createElement('dt');
+        term.textContent = GAME_CONFIG.DIFFICULTY[difficulty].name;
+        const detail = document.createElement('dd');
+        detail.textContent = best
+          ? Utils.formatMessage(MESSAGES.STATS_BEST, {
+            score: best.score,
+            words: best.wordsFound,
+            longest: best.longestWord ? best.longestWord.toUpperCase() : '-',
+            combo: best.bestCombo,
+            date: best.date
+          })
+          : MESSAGES.STATS_NO_BEST;
+        bests.append(term, detail);
+      });
     }
   }
 
-  updateFoundWordsCount(count) {
-    if (this.elements['found-words-count']) {
-      this.elements['found-words-count'].textContent = count;
-    }
+  /**
+   * Draw recent scores as a line chart, oldest on the left
+   * @param {Array<number>} scores - Scores to plot
+   */
+  _renderScoreTrend(scores) {
+    const chart = this.elements['stats-trend'];
+    if (!chart) return;
+
+    const width = 300;
+    const height = 100;
+    const highest = Math.max(...scores, 1);
+    const step = scores.length > 1 ? width / (scores.length - 1) : 0;
+    const points = scores.map((score, index) => {
+      const x = scores.length > 1 ? index * step : width / 2;
+      const y = height - (score / highest) * height;
+      return `${Math.round(x)},${Math.round(y)}`;
+    });
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    chart.innerHTML = '';
+    chart.setAttribute('viewBox', `-5 -5 ${width + 10} ${height + 10}`);
+    chart.setAttribute('aria-label', Utils.formatMessage(GAME_CONFIG.MESSAGES.STATS_TREND, {
+      count: scores.length,
+      first: scores[0],
+      last: scores[scores.length - 1]
+    }));
+
+    const line = document.createElementNS(svgNS, 'polyline');
+    line.setAttribute('points', points.join(' '));
+    chart.appendChild(line);
+    points.forEach(point => {
+      const [cx, cy] = point.split(',');
+      const dot = document.createElementNS(svgNS, 'circle');
+      dot.setAttribute('cx', cx);
+      dot.setAttribute('cy', cy);
+      dot.setAttribute('r', 3);
+      chart.appendChild(dot);
+    });
   }
 
-  showMessage(message, type = 'info', duration = GAME_CONFIG.ANIMATION_DELAYS.MESSAGE_DURATION) {
-    if (!this.elements['message']) return;
+  showStatsPanel(show) {
+    const panel = this.elements['stats-panel'];
+    if (!panel) return;
 
-    const messageElement = this.elements['message'];
-    
-    // Clear previous classes and animation
-    messageElement.classList.remove('message-success', 'message-error', 'message-info');
-    messageElement.style.opacity = '0';
-    
-    // Set new message and type
-    messageElement.textContent = message;
-    messageElement.classList.add(`message-${type}`);
-    
-    // Announce to screen readers
-    Utils.announceToScreenReader(message, type === 'error' ? 'assertive' : 'polite');
-    
-    Logger.debug(`Message shown: ${message} (${type})`);
+    panel.hidden = !show;
+    if (show && this.elements['stats-close-button']) {
+      this.elements['stats-close-button'].focus();
+    } else if (!show && this.elements['stats-button']) {
+      this.elements['stats-button'].focus();
+    }
   }
 
-  renderLetters(letters) {
-    if (!this.elements['letter-tiles']) return;
+  isStatsPanelOpen() {
+    return Boolean(this.elements['stats-panel'] && !this.elements['stats-panel'].hidden);
+  }
 
-    const container = this.elements['letter-tiles'];
-    container.innerHTML = ''; // Clear previous letters
+  /**
+   * Fill the Trophy Hall, unlocked badges with their date and locked ones dimmed
+   * @param {Array<Object>} achievements - From AchievementEngine.getAll
+   */
+  renderTrophyHall(achievements) {
+    const list = this.elements['trophy-list'];
+    if (!list) return;
 
-    const tiles = letters.map((letter, index) => {
-      const tile = document.createElement('div');
-      tile.classList.add('letter-tile');
-      tile.textContent = letter.toUpperCase();
-      tile.setAttribute('role', 'button');
-      tile.setAttribute('tabindex', '0');
-      tile.setAttribute('aria-label', `Letter ${letter.toUpperCase()}`);
-      
-      // Add click handler for accessibility
-      tile.addEventListener('click', () => {
-        this._addLetterToInput(letter);
-      });
-      
-      tile.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this._addLetterToInput(letter);
-        }
-      });
-      
-      container.appendChild(tile);
-      return tile;
+    list.innerHTML = '';
+    achievements.forEach(achievement => {
+      const item = document.createElement('li');
+      item.className = 'trophy';
+      const rune = document.createElement('span');
+      rune.className = 'achievement-rune';
+      rune.setAttribute('aria-hidden', 'true');
+      rune.textContent = achievement.rune;
+      const name = document.createElement('strong');
+      name.textContent = achievement.name;
+      const description = document.createElement('p');
+      description.textContent = achievement.description;
+      const status = document.createElement('small');
+      if (achievement.unlockedOn) {
+        status.textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.TROPHY_UNLOCKED_ON, { date: achievement.unlockedOn });
+      } else {
+        item.classList.add('undiscovered');
+        status.textContent = GAME_CONFIG.MESSAGES.TROPHY_LOCKED;
+      }
+      item.append(rune, name, description, status);
+      list.appendChild(item);
     });
 
-    // Animate tiles appearing
-    this.animationManager.animateLetterTiles(tiles);
+    if (this.elements['trophy-progress']) {
+      this.elements['trophy-progress'].textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.TROPHY_PROGRESS, {
+        unlocked: achievements.filter(achievement => achievement.unlockedOn).length,
+        total: achievements.length
+      });
+    }
   }
 
-  _addLetterToInput(letter) {
-    if (this.elements['word-input']) {
-      const input = this.elements['word-input'];
-      const currentValue = input.value;
-      const maxLength = parseInt(input.getAttribute('maxlength')) || GAME_CONFIG.MAX_WORD_LENGTH;
-      
-      if (currentValue.length < maxLength) {
-        input.value = currentValue + letter.toLowerCase();
-        input.focus();
-      }
+  showTrophyHall(show) {
+    const panel = this.elements['trophy-panel'];
+    if (!panel) return;
+
+    panel.hidden = !show;
+    if (show && this.elements['trophy-close-button']) {
+      this.elements['trophy-close-button'].focus();
+    } else if (!show && this.elements['trophy-button']) {
+      this.elements['trophy-button'].focus();
     }
   }
 
-  addFoundWord(word) {
-    if (!this.elements['found-words-list']) return;
-
-    const listItem = document.createElement('li');
-    listItem.textContent = word.toUpperCase();
-    listItem.setAttribute('role', 'listitem');
-    this.elements['found-words-list'].prepend(listItem);
+  isTrophyHallOpen() {
+    return Boolean(this.elements['trophy-panel'] && !this.elements['trophy-panel'].hidden);
   }
 
-  addInvalidWord(word) {
-    if (!this.elements['invalid-words-list']) return;
+  /**
+   * Pops up a rune-carved toast for a newly unlocked badge
+   * @param {Object} achievement - Badge from GAME_CONFIG.ACHIEVEMENTS
+   */
+  showAchievementToast(achievement) {
+    const container = this.elements['achievement-toasts'];
+    if (!container) return;
 
-    const listItem = document.createElement('li');
-    listItem.textContent = word.toUpperCase();
-    listItem.setAttribute('role', 'listitem');
-    this.elements['invalid-words-list'].prepend(listItem);
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    toast.classList.toggle('animated', this.animationManager.enabled);
+    const rune = document.createElement('span');
+    rune.className = 'achievement-rune';
+    rune.setAttribute('aria-hidden', 'true');
+    rune.textContent = achievement.rune;
+    const heading = document.createElement('small');
+    heading.textContent = GAME_CONFIG.MESSAGES.ACHIEVEMENT_UNLOCKED;
+    const name = document.createElement('strong');
+    name.textContent = achievement.name;
+    const description = document.createElement('p');
+    description.textContent = achievement.description;
+    toast.append(rune, heading, name, description);
+    container.appendChild(toast);
+
+    setTimeout(() => toast.remove(), GAME_CONFIG.ANIMATION_DELAYS.TOAST_DURATION);
   }
 
-  clearWordLists() {
-    if (this.elements['found-words-list']) {
-      this.elements['found-words-list'].innerHTML = '';
+  /**
+   * Fill the end-of-round summary: the board's words by length, found ones marked
+   * @param {Object} summary - From RoundSummary.build
+   */
+  renderRoundSummary(summary) {
+    const { MESSAGES } = GAME_CONFIG;
+
+    if (this.elements['summary-completion']) {
+      this.elements['summary-completion'].textContent = Utils.formatMessage(MESSAGES.SUMMARY_COMPLETION, summary);
     }
-    if (this.elements['invalid-words-list']) {
-      this.elements['invalid-words-list'].innerHTML = '';
+    if (this.elements['summary-longest-missed']) {
+      this.elements['summary-longest-missed'].textContent = summary.longestMissed
+        ? Utils.formatMessage(MESSAGES.SUMMARY_LONGEST_MISSED, { word: summary.longestMissed.toUpperCase() })
+        : MESSAGES.SUMMARY_ALL_FOUND;
     }
-  }
 
-  clearInput() {
-    if (this.elements['word-input']) {
-      this.elements['word-input'].value = '';
+    const groups = this.elements['summary-groups'];
+    if (groups) {
+      groups.innerHTML = '';
+      summary.groups.forEach(group => {
+        const heading = document.createElement('h3');
+        heading.textContent = Utils.formatMessage(MESSAGES.SUMMARY_GROUP, {
+          length: group.length,
+          found: group.found,
+          total: group.words.length
+        });
+        const list = document.createElement('ul');
+        list.className = 'summary-words';
+        group.words.forEach(({ word, found, definition }) => {
+          const item = document.createElement('li');
+          item.className = found ? 'found' : 'missed';
+          if (word === summary.longestMissed) {
+            item.classList.add('longest-missed');
+          }
+          item.textContent = word.toUpperCase();
+          if (definition) {
+            const text = document.createElement('small');
+            text.textContent = definition;
+            item.appendChild(text);
+          }
+          list.appendChild(item);
+        });
+        groups.append(heading, list);
+      });
     }
-  }
 
-  focusInput() {
-    if (this.elements['word-input']) {
-      this.elements['word-input'].focus();
+    const invalid = this.elements['summary-invalid'];
+    if (invalid) {
+      invalid.textContent = summary.invalidWords.length > 0
+        ? summary.invalidWords.map(word => word.toUpperCase()).join(', ')
+        : MESSAGES.SUMMARY_NO_INVALID;
     }
   }
 
-  setInputEnabled(enabled) {
-    if (this.elements['word-input']) {
-      this.elements['word-input'].disabled = !enabled;
-    }
-    if (this.elements['submit-word-button']) {
-      this.elements['submit-word-button'].disabled = !enabled;
-    }
-    if (this.elements['shuffle-letters-button']) {
-      this.elements['shuffle-letters-button'].disabled = !enabled;
+  showRoundSummary(show) {
+    const panel = this.elements['summary-panel'];
+    if (!panel) return;
+
+    panel.hidden = !show;
+    if (show && this.elements['summary-close-button']) {
+      this.elements['summary-close-button'].focus();
+    } else if (!show && this.elements['summary-button']) {
+      this.elements['summary-button'].focus();
     }
   }
 
+  isRoundSummaryOpen() {
+    return Boolean(this.elements['summary-panel'] && !this.elements['summary-panel'].hidden);
+  }
+
+  selectScoringMode(mode) {
+    Object.keys(GAME_CONFIG.SCORING_MODES).forEach(key => {
+      const button = this.elements[`${key}-scoring-button`];
+      if (button) {
+        button.classList.toggle('selected', key === mode);
+        button.setAttribute('aria-pressed', key === mode ? 'true' : 'false');
+      }
+    });
+  }
+
+  populateBossSelector(bosses) {
+    const bossSelect = this.elements['boss-select'];
+    if (!bossSelect) return;
+
+    bosses.forEach((boss, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `Lvl ${boss.level}: ${boss.name}`;
+      bossSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * @returns {number} Boss index picked in the dev selector, or -1 to play from the start
+   */
+  getSelectedStartBoss() {
+    const bossSelect = this.elements['boss-select'];
+    const index = bossSelect ? parseInt(bossSelect.value, 10) : -1;
+    return Number.isNaN(index) ? -1 : index;
+  }
+
   selectCharacter(character) {
     // Remove selection from all cards
-    if (this.elements['viking-card']) {
-      this.elements['viking-card'].classList.remove('selected');
-      this.elements['viking-card'].setAttribute('aria-checked', 'false');
-    }
-    if (this.elements['valkyrie-card']) {
-      this.elements['valkyrie-card'].classList.remove('selected');
-      this.elements['valkyrie-card'].setAttribute('aria-checked', 'false');
-    }
+    Object.keys(GAME_CONFIG.CHARACTERS).forEach(key => {
+      const card = this.elements[`${key}-card`];
+      if (card) {
+        card.classList.remove('selected');
+        card.setAttribute('aria-checked', 'false');
+      }
+    });
 
     // Add selection to chosen card
     const cardElement = this.elements[`${character}-card`];
@@ -706,11 +4108,41 @@ class UIManager {
       cardElement.setAttribute('aria-checked', 'true');
     }
 
-    // Enable start button
+    // Enable start buttons
     if (this.elements['start-game-button']) {
       this.elements['start-game-button'].disabled = false;
       this.elements['start-game-button'].classList.add('visible');
     }
+    if (this.elements['daily-rune-button']) {
+      this.elements['daily-rune-button'].classList.add('visible');
+    }
+  }
+
+  /**
+   * Labels the Daily Rune button with today's result, if already played
+   * @param {Object|null} result - Today's stored daily result
+   */
+  updateDailyButton(result) {
+    const dailyButton = this.elements['daily-rune-button'];
+    if (!dailyButton) return;
+
+    dailyButton.disabled = Boolean(result);
+    dailyButton.textContent = result
+      ? Utils.formatMessage(GAME_CONFIG.MESSAGES.DAILY_BUTTON_PLAYED, { score: result.score })
+      : GAME_CONFIG.MESSAGES.DAILY_BUTTON;
+  }
+
+  /**
+   * @param {Object|null} save - { level, score } of the saved campaign, or null to hide the button
+   */
+  updateContinueButton(save) {
+    const continueButton = this.elements['continue-button'];
+    if (!continueButton) return;
+
+    continueButton.classList.toggle('visible', Boolean(save));
+    if (save) {
+      continueButton.textContent = Utils.formatMessage(GAME_CONFIG.MESSAGES.CONTINUE_BUTTON, save);
+    }
   }
 
   showCharacter(characterPath) {
@@ -720,16 +4152,138 @@ class UIManager {
     }
   }
 
-  showBoss() {
+  /**
+   * Brings a boss on stage and plays its roar and shake entrance
+   * @param {Object} boss - Boss definition from the campaign
+   */
+  showBoss(boss) {
+    const bossDisplay = this.elements['boss-display'];
+    const bossImg = this.elements['boss-img'];
+    if (!bossDisplay) return;
+
+    this._clearBossAnimations();
+    bossDisplay.classList.remove('visible', 'boss-defeated', 'boss-weakened', 'roaring', 'shaking');
+    bossDisplay.style.transition = '';
+
+    if (boss) {
+      if (bossImg) {
+        bossImg.src = boss.image;
+        bossImg.alt = boss.name;
+        bossImg.style.width = `${boss.size.width}px`;
+        bossImg.style.height = `${boss.size.height}px`;
+      }
+      if (this.elements['game-container'] && boss.background) {
+        this.elements['game-container'].style.backgroundImage = `url('${boss.background}')`;
+      }
+      this.updateBossHealth(100);
+    }
+
+    bossDisplay.classList.add('visible');
+
+    if (boss && this.animationManager.enabled) {
+      this._playBossEntrance(bossDisplay, boss);
+    }
+  }
+
+  _playBossEntrance(bossDisplay, boss) {
+    const schedule = (callback, delay) => {
+      this.bossAnimationTimers.push(setTimeout(callback, delay));
+    };
+
+    // Roar starts 20% into the entrance sound; the shake follows the scale-up phase
+    schedule(() => {
+      bossDisplay.style.animationDuration = `${boss.timings.roar / 1000}s`;
+      bossDisplay.classList.add('roaring');
+
+      schedule(() => {
+        const shakeCycleDuration = 100;
+        const iterationCount = Math.max(1, Math.round(boss.timings.shake / shakeCycleDuration));
+        bossDisplay.style.animation = `boss-shake ${shakeCycleDuration / 1000}s ease-in-out ${iterationCount}`;
+        bossDisplay.classList.add('shaking');
+
+        schedule(() => {
+          bossDisplay.classList.remove('shaking');
+          bossDisplay.style.animation = '';
+        }, boss.timings.shake);
+      }, boss.timings.roar * 0.1);
+
+      schedule(() => {
+        bossDisplay.classList.remove('roaring');
+        bossDisplay.style.animationDuration = '';
+      }, boss.timings.roar);
+    }, boss.timings.sound * 0.2);
+  }
+
+  _clearBossAnimations() {
+    this.bossAnimationTimers.forEach(timer => clearTimeout(timer));
+    this.bossAnimationTimers = [];
+
+    const bossDisplay = this.elements['boss-display'];
+    if (bossDisplay) {
+      bossDisplay.style.animation = '';
+      bossDisplay.style.animationDuration = '';
+    }
+  }
+
+  updateBossHealth(percent) {
+    if (this.elements['boss-health-bar']) {
+      this.elements['boss-health-bar'].style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    }
+  }
+
+  setBossWeakened(weakened) {
     if (this.elements['boss-display']) {
-      this.elements['boss-display'].classList.add('visible');
+      this.elements['boss-display'].classList.toggle('boss-weakened', weakened);
     }
   }
 
-  async triggerCharacterAttack() {
-    if (this.elements['chosen-character-img']) {
-      await this.animationManager.animateCharacterAttack(this.elements['chosen-character-img']);
+  isBossDefeated() {
+    return Boolean(this.elements['boss-display'] && this.elements['boss-display'].classList.contains('boss-defeated'));
+  }
+
+  defeatBoss() {
+    const bossDisplay = this.elements['boss-display'];
+    if (!bossDisplay) return;
+
+    this._clearBossAnimations();
+    bossDisplay.classList.remove('boss-weakened', 'roaring', 'shaking');
+    bossDisplay.classList.add('boss-defeated');
+    this.animationManager.spawnSparks(
+      this.elements['battle-area'],
+      GAME_CONFIG.PERFORMANCE.DEFEAT_SPARKS,
+      'defeat-spark',
+      120
+    );
+  }
+
+  /**
+   * Lunges the hero at the boss, bursting sparks and shaking the boss on impact
+   * @param {string} character - Selected character key, used as the spark class
+   */
+  async triggerCharacterAttack(character) {
+    const characterImg = this.elements['chosen-character-img'];
+    if (!characterImg) return;
+
+    if (this.elements['battle-area'] && GAME_CONFIG.CHARACTERS[character]) {
+      this.elements['battle-area'].style.setProperty(
+        '--spark-color',
+        this.heroCosmetics.sparkColor || GAME_CONFIG.CHARACTERS[character].sparkColor
+      );
     }
+    setTimeout(() => {
+      this.animationManager.spawnSparks(
+        this.elements['battle-area'],
+        GAME_CONFIG.PERFORMANCE.ATTACK_SPARKS,
+        character
+      );
+
+      const bossDisplay = this.elements['boss-display'];
+      if (bossDisplay && !bossDisplay.classList.contains('boss-weakened') && !this.isBossDefeated()) {
+        this.animationManager.animateBossShake(bossDisplay);
+      }
+    }, GAME_CONFIG.ANIMATION_DELAYS.SPARK_DELAY);
+
+    await this.animationManager.animateCharacterAttack(characterImg);
   }
 
   async triggerCharacterShake() {
@@ -737,8 +4291,8 @@ class UIManager {
     if (this.elements['chosen-character-img']) {
       elements.push(this.elements['chosen-character-img']);
     }
-    if (this.elements['fenrir-img']) {
-      elements.push(this.elements['fenrir-img']);
+    if (this.elements['boss-img']) {
+      elements.push(this.elements['boss-img']);
     }
     
     if (elements.length > 0) {
@@ -773,6 +4327,27 @@ class UIManager {
     Logger.debug('Confetti triggered');
   }
 
+  showEndGameActions(show) {
+    if (this.elements['end-game-actions']) {
+      this.elements['end-game-actions'].classList.toggle('visible', show);
+    }
+  }
+
+  /**
+   * Show or hide the "new version available" banner
+   * @param {boolean} show - Whether the banner is visible
+   */
+  showUpdatePrompt(show) {
+    const prompt = this.elements['update-prompt'];
+    if (!prompt) return;
+
+    if (show && this.elements['update-message']) {
+      this.elements['update-message'].textContent = GAME_CONFIG.MESSAGES.UPDATE_AVAILABLE;
+      Utils.announceToScreenReader(GAME_CONFIG.MESSAGES.UPDATE_AVAILABLE);
+    }
+    prompt.classList.toggle('visible', show);
+  }
+
   getElement(id) {
     return this.elements[id];
   }
@@ -782,9 +4357,22 @@ class UIManager {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     GameState,
+    ScoringRules,
     Dictionary,
+    DictionaryService,
     LetterGenerator,
+    BoardCode,
     GameTimer,
+    BossManager,
+    BossAbilities,
+    HeroAbilities,
+    Hints,
+    Lexicon,
+    GameHistory,
+    RoundSummary,
+    HeroProgression,
+    AchievementEngine,
+    ProfileManager,
     AudioManager,
     AnimationManager,
     UIManager
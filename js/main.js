@@ -6,7 +6,9 @@
 class MythicRunesGame {
   constructor() {
     this.gameState = new GameState();
-    this.dictionary = new Dictionary();
+    this.dictionary = new DictionaryService();
+    this.bossManager = new BossManager();
+    this.lexicon = new Lexicon();
     this.uiManager = new UIManager();
     this.audioManager = new AudioManager();
     this.gameTimer = new GameTimer(
@@ -18,8 +20,26 @@ class MythicRunesGame {
       () => this.handleSubmitWord(), 
       GAME_CONFIG.PERFORMANCE.DEBOUNCE_DELAY
     );
+    this.throttledSaveProgress = Utils.throttle(
+      () => this.saveProgress(),
+      GAME_CONFIG.SAVE.THROTTLE
+    );
     
+    // Title-screen choices survive game state resets
+    this.selectedCharacter = null;
+    this.selectedDifficulty = GAME_CONFIG.DEFAULT_DIFFICULTY;
+    this.selectedScoringMode = GAME_CONFIG.DEFAULT_SCORING_MODE;
+    this.selectedWordList = GAME_CONFIG.DEFAULT_WORD_LIST;
+    this.boardRandom = Math.random;
+    this.abilityRandom = Math.random; // boss ability targets, seeded alongside boardRandom
+    this.waitingWorker = null;
+    this.tileTrace = null; // { length } while a pointer is dragging across tiles
+    this.abilityReadyTimer = null; // refreshes the ability button when its cooldown ends
+
     this.isInitialized = false;
+    // The profile picks which player's settings and saves Storage reads
+    this.profiles = new ProfileManager();
+    this.achievements = new AchievementEngine();
     this.settings = this.loadSettings();
   }
 
@@ -35,12 +55,26 @@ class MythicRunesGame {
       
       // Set up event listeners
       this.setupEventListeners();
+      this.setupBossEvents();
+      this.setupAchievementEvents();
       
       // Show title screen
+      this.uiManager.showLoading(false);
+      this.setDifficulty(this.selectedDifficulty);
+      this.setScoringMode(this.selectedScoringMode);
+      this.uiManager.populateWordListSelector(GAME_CONFIG.WORD_LISTS, this.selectedWordList);
+      this.loadProfile();
       this.uiManager.showTitleScreen();
       
-      // Preload dictionary in background
+      // Preload campaign and dictionary in background
+      this.preloadCampaign();
       this.preloadDictionary();
+      this.preloadLexicon();
+
+      // Links with a board code go straight into that game
+      this.startFromLocationHash();
+
+      this.registerServiceWorker();
       
       this.isInitialized = true;
       Logger.info('Game initialized successfully');
@@ -52,17 +86,258 @@ class MythicRunesGame {
   }
 
   /**
-   * Preload dictionary in background
+   * Preload the selected word list in background
+   * @param {string} text - Contents of a newly uploaded custom list
    */
-  async preloadDictionary() {
+  async preloadDictionary(text) {
+    const name = GAME_CONFIG.WORD_LISTS[this.selectedWordList].name;
+    this.uiManager.updateWordListStatus(Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_LIST_LOADING, { name }));
+
     try {
-      await this.dictionary.load();
+      await this.dictionary.useWordList(this.selectedWordList, text);
+      if (this.dictionary.wordListId !== this.selectedWordList) return;
+
+      this.uiManager.updateWordListStatus(
+        Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_LIST_LOADED, { name, count: this.dictionary.wordCount })
+      );
       Logger.info('Dictionary preloaded successfully');
     } catch (error) {
+      // The service keeps serving the fallback word list
       Logger.warn('Dictionary preload failed, using fallback dictionary:', error);
-      // Ensure fallback dictionary is loaded
-      this.dictionary._loadFallbackDictionary();
+      if (this.dictionary.wordListId !== this.selectedWordList) return;
+
+      this.uiManager.updateWordListStatus(
+        Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_LIST_FAILED, { name, error: error.message }),
+        true
+      );
+    }
+  }
+
+  /**
+   * Choose the word list for the next game
+   * @param {string} id - Key in GAME_CONFIG.WORD_LISTS
+   */
+  setWordList(id) {
+    if (!GAME_CONFIG.WORD_LISTS[id]) {
+      Logger.error('Invalid word list selection:', id);
+      return;
+    }
+
+    this.selectedWordList = id;
+    this.settings.wordList = id;
+    this.saveSettings();
+    this.uiManager.selectWordList(id);
+    Logger.info(`Word list selected: ${id}`);
+    this.preloadDictionary();
+  }
+
+  /**
+   * Use an uploaded .txt file, one word per line, as the custom word list
+   * @param {File} file - File picked by the player
+   */
+  async uploadWordList(file) {
+    const name = GAME_CONFIG.WORD_LISTS.custom.name;
+    if (file.size > GAME_CONFIG.DICTIONARY.CUSTOM_MAX_SIZE) {
+      this.uiManager.updateWordListStatus(
+        Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_LIST_FAILED, { name, error: GAME_CONFIG.ERRORS.WORD_LIST_TOO_LARGE }),
+        true
+      );
+      return;
+    }
+
+    const text = await file.text();
+    this.selectedWordList = 'custom';
+    this.settings.wordList = 'custom';
+    this.saveSettings();
+    this.uiManager.selectWordList('custom');
+    await this.preloadDictionary(text);
+  }
+
+  /**
+   * Register the offline service worker, or remove it when caching is turned off
+   */
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    try {
+      if (!GAME_CONFIG.FEATURES.ENABLE_CACHING) {
+        const registrations = await navigator.serviceWorker.getRegistrations();
+        await Promise.all(registrations.map(registration => registration.unregister()));
+        return;
+      }
+
+      const registration = await navigator.serviceWorker.register(GAME_CONFIG.SERVICE_WORKER.URL);
+      const hadController = Boolean(navigator.serviceWorker.controller);
+
+      if (registration.waiting && hadController) {
+        this.offerUpdate(registration.waiting);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing) return;
+
+        installing.addEventListener('statechange', () => {
+          if (installing.state !== 'installed') return;
+
+          if (navigator.serviceWorker.controller) {
+            this.offerUpdate(installing);
+          } else {
+            Logger.info(GAME_CONFIG.MESSAGES.OFFLINE_READY);
+          }
+        });
+      });
+
+      // Reload once the accepted update takes control, but not on the first install
+      let isReloading = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || isReloading) return;
+        isReloading = true;
+        window.location.reload();
+      });
+
+      Logger.info('Service worker registered');
+    } catch (error) {
+      Logger.warn('Service worker registration failed:', error);
+    }
+  }
+
+  /**
+   * Prompt the player to load a newly installed version
+   * @param {ServiceWorker} waitingWorker - Worker waiting to take over
+   */
+  offerUpdate(waitingWorker) {
+    this.waitingWorker = waitingWorker;
+    this.uiManager.showUpdatePrompt(true);
+  }
+
+  /**
+   * Switch to the waiting version; the page reloads on controllerchange
+   */
+  applyUpdate() {
+    this.uiManager.showUpdatePrompt(false);
+    if (this.waitingWorker) {
+      this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+  }
+
+  /**
+   * Preload the boss campaign and fill the dev boss selector
+   */
+  async preloadCampaign() {
+    try {
+      await this.bossManager.load();
+    } catch (error) {
+      Logger.warn('Campaign preload failed, using fallback boss:', error);
     }
+    this.uiManager.populateBossSelector(this.bossManager.getBosses());
+  }
+
+  /**
+   * Preload the bonus lexicon and show lore progress
+   */
+  async preloadLexicon() {
+    try {
+      await this.lexicon.load();
+    } catch (error) {
+      Logger.warn('Lexicon preload failed, mythic words score normally:', error);
+    }
+    this.updateLoreButton();
+  }
+
+  /**
+   * React to boss campaign events
+   */
+  setupBossEvents() {
+    this.bossManager.on('bossChanged', ({ boss, index }) => {
+      this.gameState.bossIndex = index;
+      // A boss's curses leave with it
+      if (this.gameState.tileEffects.some(Boolean)) {
+        this.gameState.clearTileEffects();
+        this.renderBoard(false);
+      }
+      this.uiManager.showBoss(boss);
+      this.audioManager.playBossEntrance(boss);
+      Logger.info(`Boss entered: ${boss.name}`);
+    });
+
+    this.bossManager.on('healthChanged', ({ percent }) => {
+      this.uiManager.updateBossHealth(percent);
+    });
+
+    this.bossManager.on('weakened', () => this.uiManager.setBossWeakened(true));
+    this.bossManager.on('recovered', () => this.uiManager.setBossWeakened(false));
+
+    this.bossManager.on('defeated', ({ boss }) => {
+      this.gameState.bossesDefeated++;
+      this.achievements.publish('bossDefeated', {
+        boss: boss.id,
+        mode: this.gameState.mode,
+        difficulty: this.gameState.difficulty
+      });
+      this.uiManager.defeatBoss();
+      this.uiManager.showMessage(Utils.formatMessage(GAME_CONFIG.MESSAGES.BOSS_DEFEATED, { boss: boss.name }), 'success');
+      Logger.info(`Boss defeated: ${boss.name}`);
+      setTimeout(() => {
+        if (this.gameState.isActive) {
+          this.bossManager.advance();
+        }
+      }, GAME_CONFIG.ANIMATION_DELAYS.BOSS_DEFEAT_DURATION);
+    });
+
+    // A new level deals a fresh board
+    this.bossManager.on('levelChanged', async ({ level }) => {
+      this.gameState.level = level;
+      this.gameState.clearBoardWords();
+      const letters = await this.dictionary.generateBoard({
+        settings: this.gameState.getDifficultySettings(),
+        seed: this.nextBoardSeed()
+      });
+      if (!this.gameState.isActive) return;
+
+      this.dealBoard(letters);
+      this.renderBoard();
+      this.uiManager.clearWordLists();
+      this.updateDisplay();
+    });
+
+    this.bossManager.on('abilityTick', () => {
+      if (this.gameState.isActive && this.gameState.tickTileEffects()) {
+        this.renderBoard(false);
+      }
+    });
+
+    this.bossManager.on('abilityTriggered', ({ boss, ability }) => {
+      if (!this.gameState.isActive) return;
+
+      const changed = BossAbilities.apply(ability, {
+        gameState: this.gameState,
+        gameTimer: this.gameTimer,
+        random: this.abilityRandom
+      });
+      if (!changed) return;
+
+      this.renderBoard(false);
+      this.updateDisplay();
+      const message = Utils.formatMessage(ability.message, { boss: boss.name, amount: ability.amount });
+      this.uiManager.showMessage(message, 'error');
+      Logger.info(`Boss ability: ${boss.name} used ${ability.type}`);
+    });
+
+    this.bossManager.on('campaignComplete', ({ bossesDefeated }) => {
+      this.gameState.bossIndex = bossesDefeated;
+      this.endGame();
+    });
+  }
+
+  /**
+   * Keep badges as they unlock, and celebrate them
+   */
+  setupAchievementEvents() {
+    this.achievements.on('unlocked', ({ achievement, unlocked }) => {
+      Storage.set(GAME_CONFIG.STORAGE_KEYS.ACHIEVEMENTS, unlocked);
+      this.uiManager.showAchievementToast(achievement);
+    });
   }
 
   /**
@@ -70,35 +345,111 @@ class MythicRunesGame {
    */
   setupEventListeners() {
     // Character selection
-    const vikingCard = this.uiManager.getElement('viking-card');
-    const valkyrieCard = this.uiManager.getElement('valkyrie-card');
-    
-    if (vikingCard) {
-      vikingCard.addEventListener('click', () => this.selectCharacter('viking'));
-      vikingCard.addEventListener('keydown', (e) => {
+    Object.keys(GAME_CONFIG.CHARACTERS).forEach(character => {
+      const card = this.uiManager.getElement(`${character}-card`);
+      if (!card) return;
+
+      card.addEventListener('click', () => this.selectCharacter(character));
+      card.addEventListener('keydown', (e) => {
         if (e.key === 'Enter' || e.key === ' ') {
           e.preventDefault();
-          this.selectCharacter('viking');
+          this.selectCharacter(character);
         }
       });
+    });
+
+    // Difficulty selection
+    Object.keys(GAME_CONFIG.DIFFICULTY).forEach(difficulty => {
+      const button = this.uiManager.getElement(`${difficulty}-button`);
+      if (button) {
+        button.addEventListener('click', () => this.setDifficulty(difficulty));
+      }
+    });
+
+    // Scoring rules
+    Object.keys(GAME_CONFIG.SCORING_MODES).forEach(mode => {
+      const button = this.uiManager.getElement(`${mode}-scoring-button`);
+      if (button) {
+        button.addEventListener('click', () => this.setScoringMode(mode));
+      }
+    });
+
+    // Word list selection
+    const wordListSelect = this.uiManager.getElement('word-list-select');
+    if (wordListSelect) {
+      wordListSelect.addEventListener('change', (e) => this.setWordList(e.target.value));
     }
-    
-    if (valkyrieCard) {
-      valkyrieCard.addEventListener('click', () => this.selectCharacter('valkyrie'));
-      valkyrieCard.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.selectCharacter('valkyrie');
+
+    const wordListUpload = this.uiManager.getElement('word-list-upload');
+    if (wordListUpload) {
+      wordListUpload.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+          this.uploadWordList(file);
         }
       });
     }
 
+    // Lore panel
+    const loreButton = this.uiManager.getElement('lore-button');
+    if (loreButton) {
+      loreButton.addEventListener('click', () => this.openLorePanel());
+    }
+
+    const loreCloseButton = this.uiManager.getElement('lore-close-button');
+    if (loreCloseButton) {
+      loreCloseButton.addEventListener('click', () => this.uiManager.showLorePanel(false));
+    }
+
+    // Stats panel
+    const statsButton = this.uiManager.getElement('stats-button');
+    if (statsButton) {
+      statsButton.addEventListener('click', () => this.openStatsPanel());
+    }
+
+    const statsCloseButton = this.uiManager.getElement('stats-close-button');
+    if (statsCloseButton) {
+      statsCloseButton.addEventListener('click', () => this.uiManager.showStatsPanel(false));
+    }
+
+    // Trophy Hall
+    const trophyButton = this.uiManager.getElement('trophy-button');
+    if (trophyButton) {
+      trophyButton.addEventListener('click', () => this.openTrophyHall());
+    }
+
+    const trophyCloseButton = this.uiManager.getElement('trophy-close-button');
+    if (trophyCloseButton) {
+      trophyCloseButton.addEventListener('click', () => this.uiManager.showTrophyHall(false));
+    }
+
     // Start game button
     const startButton = this.uiManager.getElement('start-game-button');
     if (startButton) {
       startButton.addEventListener('click', () => this.startGame());
     }
 
+    const dailyButton = this.uiManager.getElement('daily-rune-button');
+    if (dailyButton) {
+      dailyButton.addEventListener('click', () => this.startDailyRune());
+    }
+
+    const profileSelect = this.uiManager.getElement('profile-select');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', (e) => this.switchProfile(e.target.value));
+    }
+
+    const createProfileButton = this.uiManager.getElement('create-profile-button');
+    if (createProfileButton) {
+      createProfileButton.addEventListener('click', () => this.createProfile());
+    }
+
+    const continueButton = this.uiManager.getElement('continue-button');
+    if (continueButton) {
+      continueButton.addEventListener('click', () => this.continueCampaign());
+    }
+
     // Game controls
     const submitButton = this.uiManager.getElement('submit-word-button');
     if (submitButton) {
@@ -110,6 +461,87 @@ class MythicRunesGame {
       shuffleButton.addEventListener('click', () => this.shuffleLetters());
     }
 
+    const rerollButton = this.uiManager.getElement('reroll-button');
+    if (rerollButton) {
+      rerollButton.addEventListener('click', () => this.rerollBoard());
+    }
+
+    const backspaceButton = this.uiManager.getElement('backspace-button');
+    if (backspaceButton) {
+      backspaceButton.addEventListener('click', () => {
+        this.uiManager.removeLastLetter();
+        this.updateWordFeedback();
+      });
+    }
+
+    const clearWordButton = this.uiManager.getElement('clear-word-button');
+    if (clearWordButton) {
+      clearWordButton.addEventListener('click', () => this.uiManager.clearInput());
+    }
+
+    // Tiles: tap to add a letter, or press and drag across tiles and release to submit
+    const letterTiles = this.uiManager.getElement('letter-tiles');
+    if (letterTiles) {
+      letterTiles.addEventListener('pointerdown', (e) => this.startTileTrace(e));
+      letterTiles.addEventListener('pointermove', (e) => this.continueTileTrace(e));
+      letterTiles.addEventListener('pointerup', () => this.endTileTrace(true));
+      letterTiles.addEventListener('pointercancel', () => this.endTileTrace(false));
+      letterTiles.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.uiManager.selectTile(this.uiManager.getTileIndex(e.target));
+        }
+      });
+    }
+
+    const pauseButton = this.uiManager.getElement('pause-button');
+    if (pauseButton) {
+      pauseButton.addEventListener('click', () => this.togglePause());
+    }
+
+    const resumeButton = this.uiManager.getElement('resume-button');
+    if (resumeButton) {
+      resumeButton.addEventListener('click', () => this.resumeGame());
+    }
+
+    const hintButton = this.uiManager.getElement('hint-button');
+    if (hintButton) {
+      hintButton.addEventListener('click', () => this.provideHint());
+    }
+
+    const abilityButton = this.uiManager.getElement('special-ability-button');
+    if (abilityButton) {
+      abilityButton.addEventListener('click', () => this.handleSpecialAbility());
+    }
+
+    const challengeButton = this.uiManager.getElement('challenge-button');
+    if (challengeButton) {
+      challengeButton.addEventListener('click', () => this.shareChallenge());
+    }
+
+    // End-of-round summary
+    const summaryButton = this.uiManager.getElement('summary-button');
+    if (summaryButton) {
+      summaryButton.addEventListener('click', () => this.uiManager.showRoundSummary(true));
+    }
+
+    const summaryCloseButton = this.uiManager.getElement('summary-close-button');
+    if (summaryCloseButton) {
+      summaryCloseButton.addEventListener('click', () => this.uiManager.showRoundSummary(false));
+    }
+
+    window.addEventListener('hashchange', () => this.startFromLocationHash());
+
+    const updateReloadButton = this.uiManager.getElement('update-reload-button');
+    if (updateReloadButton) {
+      updateReloadButton.addEventListener('click', () => this.applyUpdate());
+    }
+
+    const updateDismissButton = this.uiManager.getElement('update-dismiss-button');
+    if (updateDismissButton) {
+      updateDismissButton.addEventListener('click', () => this.uiManager.showUpdatePrompt(false));
+    }
+
     const newGameButton = this.uiManager.getElement('new-game-button');
     if (newGameButton) {
       newGameButton.addEventListener('click', () => this.newGame());
@@ -131,7 +563,11 @@ class MythicRunesGame {
         if (e.target.value !== sanitized) {
           e.target.value = sanitized;
         }
+        this.uiManager.syncTileSelection();
+        this.updateWordFeedback();
       });
+
+      wordInput.addEventListener('animationend', () => wordInput.classList.remove('input-shake'));
     }
 
     // Settings
@@ -139,15 +575,40 @@ class MythicRunesGame {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.uiManager.isLorePanelOpen()) {
+        this.uiManager.showLorePanel(false);
+        return;
+      }
+
+      if (e.key === 'Escape' && this.uiManager.isRoundSummaryOpen()) {
+        this.uiManager.showRoundSummary(false);
+        return;
+      }
+
+      if (e.key === 'Escape' && this.uiManager.isStatsPanelOpen()) {
+        this.uiManager.showStatsPanel(false);
+        return;
+      }
+
+      if (e.key === 'Escape' && this.uiManager.isTrophyHallOpen()) {
+        this.uiManager.showTrophyHall(false);
+        return;
+      }
+
       if (this.gameState.isActive) {
         switch (e.key) {
           case 'Escape':
-            this.pauseGame();
+            this.togglePause();
             break;
           case 'F5':
             e.preventDefault();
             this.shuffleLetters();
             break;
+          case 'Shift':
+            if (document.activeElement !== this.uiManager.getElement('word-input') && !this.gameState.isPaused) {
+              this.shuffleLetters();
+            }
+            break;
         }
       }
     });
@@ -178,6 +639,61 @@ class MythicRunesGame {
     }
   }
 
+  /**
+   * Show the active player's settings and progress on the title screen
+   */
+  loadProfile() {
+    const profile = this.profiles.getActive();
+    this.settings = this.loadSettings();
+    this.applySettings();
+    this.selectedWordList = GAME_CONFIG.WORD_LISTS[this.settings.wordList]
+      ? this.settings.wordList
+      : GAME_CONFIG.DEFAULT_WORD_LIST;
+    this.uiManager.selectWordList(this.selectedWordList);
+    this.uiManager.updateProfilePicker(this.profiles.getProfiles(), profile);
+    this.uiManager.updateDailyButton(this.getDailyResult());
+    this.updateContinueButton();
+    this.updateLoreButton();
+    this.updateHeroProgress();
+    this.achievements.load(Storage.get(GAME_CONFIG.STORAGE_KEYS.ACHIEVEMENTS, {}));
+    this.selectCharacter(profile.avatar);
+  }
+
+  /**
+   * Switch players from the title screen
+   * @param {string} id - Profile id
+   */
+  switchProfile(id) {
+    if (this.gameState.isActive) return;
+
+    const profile = this.profiles.select(id);
+    if (!profile) return;
+    this.loadProfile();
+    this.uiManager.updateProfileStatus(Utils.formatMessage(GAME_CONFIG.MESSAGES.PROFILE_SELECTED, { name: profile.name }));
+  }
+
+  /**
+   * Add a player from the title-screen form and switch to them
+   */
+  createProfile() {
+    const nameInput = this.uiManager.getElement('profile-name-input');
+    const avatarSelect = this.uiManager.getElement('profile-avatar-select');
+    if (!nameInput || !avatarSelect) return;
+
+    let profile;
+    try {
+      profile = this.profiles.create(nameInput.value, avatarSelect.value);
+    } catch (error) {
+      this.uiManager.updateProfileStatus(error.message, true);
+      return;
+    }
+
+    nameInput.value = '';
+    this.profiles.select(profile.id);
+    this.loadProfile();
+    this.uiManager.updateProfileStatus(Utils.formatMessage(GAME_CONFIG.MESSAGES.PROFILE_CREATED, { name: profile.name }));
+  }
+
   /**
    * Select a character
    */
@@ -186,77 +702,464 @@ class MythicRunesGame {
       Logger.error('Invalid character selection:', character);
       return;
     }
-
-    this.gameState.selectedCharacter = character;
-    this.gameState.characterImagePath = GAME_CONFIG.CHARACTERS[character].image;
-    
-    this.uiManager.selectCharacter(character);
-    
-    Utils.announceToScreenReader(
-      `${GAME_CONFIG.CHARACTERS[character].name} selected. ${GAME_CONFIG.CHARACTERS[character].description}`,
-      'polite'
-    );
-    
-    Logger.info(`Character selected: ${character}`);
+
+    this.selectedCharacter = character;
+    this.gameState.selectedCharacter = character;
+    this.gameState.characterImagePath = GAME_CONFIG.CHARACTERS[character].image;
+    
+    this.uiManager.selectCharacter(character);
+    
+    Utils.announceToScreenReader(
+      `${GAME_CONFIG.CHARACTERS[character].name} selected. ${GAME_CONFIG.CHARACTERS[character].description}`,
+      'polite'
+    );
+    
+    Logger.info(`Character selected: ${character}`);
+  }
+
+  /**
+   * Select a difficulty preset
+   */
+  setDifficulty(difficulty) {
+    if (!GAME_CONFIG.DIFFICULTY[difficulty]) {
+      Logger.error('Invalid difficulty selection:', difficulty);
+      return;
+    }
+
+    this.selectedDifficulty = difficulty;
+    this.gameState.difficulty = difficulty;
+    this.uiManager.selectDifficulty(difficulty, GAME_CONFIG.DIFFICULTY[difficulty]);
+    Logger.info(`Difficulty selected: ${difficulty}`);
+  }
+
+  /**
+   * Select the scoring rules for the next game
+   * @param {string} mode - Key in GAME_CONFIG.SCORING_MODES
+   */
+  setScoringMode(mode) {
+    if (!GAME_CONFIG.SCORING_MODES[mode]) {
+      Logger.error('Invalid scoring mode selection:', mode);
+      return;
+    }
+
+    this.selectedScoringMode = mode;
+    this.gameState.scoringMode = mode;
+    this.uiManager.selectScoringMode(mode);
+    Logger.info(`Scoring mode selected: ${mode}`);
+  }
+
+  /**
+   * Start today's Daily Rune, unless it has already been played
+   */
+  startDailyRune() {
+    const dateKey = Utils.getDateKey();
+    const result = this.getDailyResult(dateKey);
+    if (result) {
+      const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.DAILY_ALREADY_PLAYED, { score: result.score });
+      this.uiManager.updateDailyButton(result);
+      Utils.announceToScreenReader(message, 'polite');
+      return;
+    }
+
+    this.startGame({
+      mode: 'daily',
+      difficulty: GAME_CONFIG.DAILY.DIFFICULTY,
+      wordList: GAME_CONFIG.DAILY.WORD_LIST,
+      scoringMode: GAME_CONFIG.DAILY.SCORING_MODE,
+      seed: Utils.hashString(`${GAME_CONFIG.DAILY.SEED_PREFIX}${dateKey}`),
+      dailyDate: dateKey
+    });
+  }
+
+  /**
+   * Start the board encoded in the URL hash (#board=CODE&score=N), if any
+   * @returns {boolean} True if a shared game was started
+   */
+  startFromLocationHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const code = params.get(GAME_CONFIG.BOARD_CODE.HASH_PARAM);
+    if (!code) return false;
+
+    // Never throw away a game in progress for a link
+    if (this.gameState.isActive) {
+      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.SHARED_BOARD_WAITING, 'info');
+      return false;
+    }
+
+    let board;
+    try {
+      board = BoardCode.decode(code);
+    } catch (error) {
+      Logger.warn('Ignoring shared board:', error);
+      Utils.announceToScreenReader(GAME_CONFIG.ERRORS.BOARD_CODE_INVALID, 'assertive');
+      return false;
+    }
+
+    const challengeScore = parseInt(params.get(GAME_CONFIG.BOARD_CODE.SCORE_PARAM), 10);
+    this.startGame({
+      mode: 'shared',
+      character: board.character,
+      difficulty: board.difficulty,
+      scoringMode: board.scoringMode,
+      wordList: board.wordList,
+      letters: board.letters,
+      runeStones: board.runeStones,
+      startBossIndex: board.bossIndex,
+      challengeScore: Number.isNaN(challengeScore) ? null : challengeScore
+    });
+    return true;
+  }
+
+  /**
+   * Copy a link to this game's starting board, with the player's score, to the clipboard
+   */
+  async shareChallenge() {
+    const board = this.gameState.startingBoard;
+    if (!board) return;
+
+    if (GAME_CONFIG.WORD_LISTS[this.gameState.wordList].custom) {
+      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.CHALLENGE_CUSTOM_LIST, 'error');
+      return;
+    }
+
+    const code = BoardCode.encode({
+      letters: board.letters,
+      difficulty: this.gameState.difficulty,
+      character: this.gameState.selectedCharacter,
+      bossIndex: board.bossIndex,
+      scoringMode: this.gameState.scoringMode,
+      runeStones: board.runeStones,
+      wordList: this.gameState.wordList
+    });
+    const params = new URLSearchParams({
+      [GAME_CONFIG.BOARD_CODE.HASH_PARAM]: code,
+      [GAME_CONFIG.BOARD_CODE.SCORE_PARAM]: this.gameState.score
+    });
+    const url = `${window.location.origin}${window.location.pathname}#${params}`;
+    const text = Utils.formatMessage(GAME_CONFIG.MESSAGES.CHALLENGE_SHARE, { score: this.gameState.score, url });
+
+    const copied = await Utils.copyToClipboard(text);
+    this.uiManager.showMessage(
+      copied ? GAME_CONFIG.MESSAGES.CHALLENGE_COPIED : GAME_CONFIG.MESSAGES.CHALLENGE_COPY_FAILED,
+      copied ? 'success' : 'error'
+    );
+    Logger.info(`Challenge link ${copied ? 'copied' : 'not copied'}: ${url}`);
+  }
+
+  /**
+   * Put a new board in play, with rune stones in letter-value scoring
+   * @param {Array<string>} letters - Board letters
+   * @param {Array<string|null>} runeStones - Exact rune stones, e.g. from a board code; placed at random without
+   */
+  dealBoard(letters, runeStones = null) {
+    if (this.gameState.scoringMode !== 'letters') {
+      runeStones = [];
+    } else if (!runeStones) {
+      runeStones = LetterGenerator.placeRuneStones(letters.length, this.boardRandom);
+    }
+    this.gameState.setLetters(letters, runeStones);
+  }
+
+  /**
+   * Draw a seed for the next board from this game's board random source,
+   * so seeded games stay reproducible when boards are generated in the worker
+   * @returns {number} 32-bit seed
+   */
+  nextBoardSeed() {
+    return Math.floor(this.boardRandom() * 0x100000000);
+  }
+
+  /**
+   * Start a new game
+   * @param {Object} options - Optional overrides
+   * @param {string} options.mode - 'campaign' (default), 'daily' or 'shared'
+   * @param {string} options.character - Hero instead of the title-screen choice
+   * @param {string} options.difficulty - Difficulty instead of the title-screen choice
+   * @param {string} options.wordList - Word list instead of the title-screen choice
+   * @param {string} options.scoringMode - Scoring rules instead of the title-screen choice
+   * @param {number} options.seed - Seed for board generation; boards are random without one
+   * @param {string} options.dailyDate - Date key of the Daily Rune being played
+   * @param {Array<string>} options.letters - Exact starting board, e.g. from a board code
+   * @param {Array<string|null>} options.runeStones - Rune stones for that board
+   * @param {number} options.startBossIndex - Starting boss, overriding the dev selector
+   * @param {number} options.challengeScore - Score a friend set on this board
+   */
+  async startGame(options = {}) {
+    try {
+      Logger.info('Starting new game');
+
+      this.gameState.reset();
+      this.gameState.selectedCharacter = options.character || this.selectedCharacter || GAME_CONFIG.DEFAULT_CHARACTER;
+      this.gameState.difficulty = options.difficulty || this.selectedDifficulty;
+      this.gameState.scoringMode = options.scoringMode || this.selectedScoringMode;
+      this.gameState.characterImagePath = GAME_CONFIG.CHARACTERS[this.gameState.selectedCharacter].image;
+      this.gameState.mode = options.mode || 'campaign';
+      this.gameState.seed = options.seed !== undefined ? options.seed : null;
+      this.gameState.dailyDate = options.dailyDate || null;
+      this.gameState.challengeScore = options.challengeScore !== undefined ? options.challengeScore : null;
+      this.boardRandom = this.gameState.seed !== null ? Utils.createRandom(this.gameState.seed) : Math.random;
+      // A stream of its own, so however often bosses strike, later boards stay the same for everyone
+      this.abilityRandom = this.gameState.seed !== null ? Utils.createRandom(this.gameState.seed ^ 0x9E3779B9) : Math.random;
+      const settings = this.gameState.getDifficultySettings();
+      // Perks stay out of the Daily Rune and shared boards so their scores compare on even terms
+      if (this.gameState.mode === 'campaign') {
+        this.gameState.perks = HeroProgression.getPerks(this.getHeroLevel(this.gameState.selectedCharacter));
+      }
+      const startingTime = settings.time + this.gameState.getPerkTimeBonus();
+
+      this.uiManager.showGameScreen();
+      
+      this.gameState.wordList = options.wordList || this.selectedWordList;
+      await this.loadGameData();
+
+      // Pick the starting boss: seeded for the Daily Rune, otherwise the dev selector can jump ahead
+      const isDaily = this.gameState.mode === 'daily';
+      const isShared = Boolean(options.letters);
+      let startBossIndex = this.uiManager.getSelectedStartBoss();
+      if (isDaily) {
+        startBossIndex = Math.floor(this.boardRandom() * this.bossManager.getBosses().length);
+      } else if (options.startBossIndex !== undefined) {
+        startBossIndex = options.startBossIndex;
+      }
+      this.gameState.timeLeft = startingTime;
+      
+      // Generate letters
+      if (isShared) {
+        this.dealBoard([...options.letters], options.runeStones);
+      } else {
+        this.dealBoard(await this.dictionary.generateBoard({ settings, seed: this.nextBoardSeed() }));
+      }
+      
+      // Set up UI
+      this.setUpGameScreen(settings);
+      this.bossManager.start(startBossIndex);
+      this.gameState.level = this.bossManager.level;
+      this.gameState.startingBoard = {
+        letters: [...this.gameState.currentLetters],
+        runeStones: [...this.gameState.runeStones],
+        bossIndex: this.bossManager.index
+      };
+      const boss = this.bossManager.getCurrentBoss();
+      
+      // Start game
+      this.gameState.startGame();
+      this.gameTimer.start(startingTime);
+      
+      // Update display
+      this.updateDisplay();
+      
+      // The Daily Rune counts as played as soon as it starts
+      if (isDaily) {
+        this.saveDailyResult();
+      }
+
+      // Show start message
+      let startMessage = GAME_CONFIG.MESSAGES.GAME_START;
+      if (isDaily) {
+        startMessage = GAME_CONFIG.MESSAGES.DAILY_START;
+      } else if (this.gameState.challengeScore !== null) {
+        startMessage = GAME_CONFIG.MESSAGES.CHALLENGE_START;
+      } else if (isShared) {
+        startMessage = GAME_CONFIG.MESSAGES.SHARED_BOARD_START;
+      } else if (startBossIndex >= 0) {
+        startMessage = GAME_CONFIG.MESSAGES.GAME_START_AT_BOSS;
+      }
+      this.uiManager.showMessage(
+        Utils.formatMessage(startMessage, {
+          boss: boss.name,
+          date: this.gameState.dailyDate,
+          score: this.gameState.challengeScore
+        }),
+        'info'
+      );
+      
+      Logger.info('Game started successfully');
+      
+    } catch (error) {
+      Logger.error('Failed to start game:', error);
+      this.uiManager.showMessage('Failed to start game. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Switch to the game's word list and wait for it and the boss campaign to load
+   */
+  async loadGameData() {
+    if (this.dictionary.wordListId !== this.gameState.wordList) {
+      this.dictionary.useWordList(this.gameState.wordList).catch(() => {});
+    }
+
+    // Show loading if dictionary isn't ready
+    if (!this.dictionary.isLoaded) {
+      this.uiManager.showLoading(true);
+      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.DICTIONARY_LOADING, 'info');
+      
+      try {
+        await this.dictionary.load();
+      } catch (error) {
+        this.uiManager.showMessage(GAME_CONFIG.MESSAGES.DICTIONARY_ERROR, 'error');
+      }
+      
+      this.uiManager.showLoading(false);
+    }
+
+    if (!this.bossManager.isLoaded) {
+      try {
+        await this.bossManager.load();
+      } catch (error) {
+        Logger.warn('Starting with fallback boss:', error);
+      }
+    }
+  }
+
+  /**
+   * Show the board and controls for the game in gameState
+   * @param {Object} settings - Difficulty settings
+   */
+  setUpGameScreen(settings) {
+    this.renderBoard();
+    this.uiManager.clearWordLists();
+    this.uiManager.clearInput();
+    this.uiManager.setInputEnabled(true);
+    this.uiManager.showEndGameActions(false);
+    this.updateHintButton();
+    this.updateAbilityButton();
+    this.uiManager.showRerollButton(this.gameState.canReroll());
+    this.uiManager.focusInput();
+    this.uiManager.showCharacter(this.gameState.characterImagePath);
+    this.uiManager.setHeroCosmetics(HeroProgression.getCosmetics(this.getHeroLevel(this.gameState.selectedCharacter)));
+  }
+
+  /**
+   * Keep the game in progress: a campaign is saved to continue later, and a
+   * Daily Rune's result is kept up to date, since the day counts as played once it starts
+   */
+  saveProgress() {
+    if (!this.gameState.isActive) return;
+
+    if (this.gameState.mode === 'daily') {
+      this.saveDailyResult();
+    } else {
+      this.saveCampaign();
+    }
+  }
+
+  /**
+   * Save the campaign in progress so a reload can pick it up again.
+   * Daily Runes and shared boards aren't saved, and neither is the pause between a boss's defeat and the next boss.
+   * A new campaign replaces the saved one only once it finds a word, so starting one by mistake loses nothing.
+   */
+  saveCampaign() {
+    if (!this.gameState.isActive || this.gameState.mode !== 'campaign' || this.bossManager.isDefeated()) return;
+    if (!this.gameState.hasProgress()) return;
+
+    const timeLeft = this.gameTimer.getTimeLeft();
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.SAVED_CAMPAIGN, {
+      version: GAME_CONFIG.SAVE.VERSION,
+      savedAt: Date.now(),
+      game: this.gameState.serialize(),
+      boss: this.bossManager.serialize(),
+      timeLeft: Number.isFinite(timeLeft) ? timeLeft : null, // JSON has no Infinity
+      playTime: this.gameTimer.getElapsed()
+    });
+  }
+
+  /**
+   * @returns {Object|null} The saved campaign, or null if there is none
+   * @throws {Error} GAME_STATE_CORRUPTED if the save is from another version or malformed
+   */
+  getSavedCampaign() {
+    const save = Storage.get(GAME_CONFIG.STORAGE_KEYS.SAVED_CAMPAIGN);
+    if (save === null) return null;
+
+    if (!save || save.version !== GAME_CONFIG.SAVE.VERSION) {
+      throw new Error(`${GAME_CONFIG.ERRORS.GAME_STATE_CORRUPTED}: unsupported save version ${save && save.version}`);
+    }
+    if (!save.game || !save.boss || (save.timeLeft !== null && !Number.isFinite(save.timeLeft)) ||
+        !Number.isFinite(save.playTime)) {
+      throw new Error(`${GAME_CONFIG.ERRORS.GAME_STATE_CORRUPTED}: incomplete save`);
+    }
+    return save;
+  }
+
+  clearSavedCampaign() {
+    Storage.remove(GAME_CONFIG.STORAGE_KEYS.SAVED_CAMPAIGN);
+    this.updateContinueButton();
+  }
+
+  /**
+   * Offer "Continue campaign" on the title screen when a save can be used
+   */
+  updateContinueButton() {
+    let save = null;
+    try {
+      save = this.getSavedCampaign();
+    } catch (error) {
+      Logger.warn('Discarding saved campaign:', error);
+      Storage.remove(GAME_CONFIG.STORAGE_KEYS.SAVED_CAMPAIGN);
+    }
+    this.uiManager.updateContinueButton(save && { level: save.boss.level, score: save.game.score });
   }
 
   /**
-   * Start a new game
+   * Pick a saved campaign up on the exact board, boss and clock it was saved with
    */
-  async startGame() {
+  async continueCampaign() {
+    let save;
     try {
-      Logger.info('Starting new game');
-      
-      // Show loading if dictionary isn't ready
-      if (!this.dictionary.isLoaded) {
-        this.uiManager.showLoading(true);
-        this.uiManager.showMessage(GAME_CONFIG.MESSAGES.DICTIONARY_LOADING, 'info');
-        
-        try {
-          await this.dictionary.load();
-        } catch (error) {
-          this.uiManager.showMessage(GAME_CONFIG.MESSAGES.DICTIONARY_ERROR, 'error');
-        }
-        
-        this.uiManager.showLoading(false);
-      }
+      save = this.getSavedCampaign();
+      if (!save) return;
+      // Check the whole save before touching the running game
+      new GameState().restore(save.game);
+    } catch (error) {
+      this.discardSavedCampaign(error);
+      return;
+    }
 
-      // Initialize game state
-      this.gameState.reset();
-      this.gameState.selectedCharacter = this.gameState.selectedCharacter || 'viking';
-      this.gameState.characterImagePath = GAME_CONFIG.CHARACTERS[this.gameState.selectedCharacter].image;
-      
-      // Generate letters
-      this.gameState.currentLetters = LetterGenerator.generate();
-      
-      // Set up UI
-      this.uiManager.showGameScreen();
-      this.uiManager.renderLetters(this.gameState.currentLetters);
-      this.uiManager.clearWordLists();
-      this.uiManager.clearInput();
-      this.uiManager.setInputEnabled(true);
-      this.uiManager.focusInput();
-      
-      // Show characters
-      this.uiManager.showCharacter(this.gameState.characterImagePath);
-      this.uiManager.showBoss();
-      
-      // Start game
-      this.gameState.startGame();
-      this.gameTimer.start(GAME_CONFIG.DURATION_SECONDS);
-      
-      // Update display
-      this.updateDisplay();
-      
-      // Show start message
-      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.GAME_START, 'info');
-      
-      Logger.info('Game started successfully');
-      
+    Logger.info('Continuing saved campaign');
+    this.gameState.reset();
+    this.gameState.wordList = save.game.wordList;
+    this.boardRandom = Math.random;
+    this.abilityRandom = Math.random;
+    this.uiManager.showGameScreen();
+    await this.loadGameData();
+
+    try {
+      this.bossManager.restore(save.boss);
     } catch (error) {
-      Logger.error('Failed to start game:', error);
-      this.uiManager.showMessage('Failed to start game. Please try again.', 'error');
+      this.bossManager.reset();
+      this.uiManager.showTitleScreen();
+      this.discardSavedCampaign(error);
+      return;
     }
+
+    // Restored after the boss, whose entrance clears tile effects
+    this.gameState.restore(save.game);
+    this.gameState.bossIndex = this.bossManager.index;
+    this.gameState.level = this.bossManager.level;
+    const settings = this.gameState.getDifficultySettings();
+
+    this.setUpGameScreen(settings);
+    this.gameState.foundWords.forEach(word => this.uiManager.addFoundWord(word, this.lexicon.get(word)));
+    this.gameState.invalidWords.forEach(word => this.uiManager.addInvalidWord(word));
+    this.uiManager.updateCombo(this.gameState.comboMultiplier);
+
+    this.gameState.startGame();
+    this.gameState.gameStartTime = Date.now() - save.playTime;
+    this.gameTimer.start(save.timeLeft !== null ? save.timeLeft : settings.time);
+    this.updateDisplay();
+
+    const boss = this.bossManager.getCurrentBoss();
+    this.uiManager.showMessage(Utils.formatMessage(GAME_CONFIG.MESSAGES.CAMPAIGN_CONTINUED, { boss: boss.name }), 'info');
+  }
+
+  /**
+   * @param {Error} error - Why the save can't be used
+   */
+  discardSavedCampaign(error) {
+    Logger.error('Saved campaign could not be restored:', error);
+    this.clearSavedCampaign();
+    this.uiManager.showMessage(GAME_CONFIG.MESSAGES.SAVE_DISCARDED, 'error');
   }
 
   /**
@@ -267,6 +1170,7 @@ class MythicRunesGame {
       this.uiManager.showMessage('Start a new game to play!', 'info');
       return;
     }
+    if (this.gameState.isPaused) return;
 
     const wordInput = this.uiManager.getElement('word-input');
     if (!wordInput) return;
@@ -278,6 +1182,7 @@ class MythicRunesGame {
       const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_TOO_SHORT);
       this.uiManager.showMessage(message, 'error');
       this.uiManager.addInvalidWord(word);
+      this.breakCombo();
       return;
     }
 
@@ -286,6 +1191,7 @@ class MythicRunesGame {
       const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_ALREADY_FOUND, { word: word.toUpperCase() });
       this.uiManager.showMessage(message, 'info');
       this.uiManager.addInvalidWord(word);
+      this.breakCombo();
       return;
     }
 
@@ -293,38 +1199,58 @@ class MythicRunesGame {
     if (this.gameState.hasInvalidWord(word)) {
       const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_ALREADY_INVALID, { word: word.toUpperCase() });
       this.uiManager.showMessage(message, 'info');
+      this.breakCombo();
       return;
     }
 
     // Check if word can be formed from available letters
-    if (!LetterGenerator.canFormWord(word, this.gameState.currentLetters)) {
+    if (!LetterGenerator.canFormWord(word, this.gameState.getUsableLetters())) {
       const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_CANNOT_FORM, { word: word.toUpperCase() });
       this.uiManager.showMessage(message, 'error');
       this.gameState.addInvalidWord(word);
       this.uiManager.addInvalidWord(word);
+      this.breakCombo();
       return;
     }
 
     // Check if word exists in dictionary
-    if (this.dictionary.hasWord(word)) {
+    const isWord = await this.dictionary.has(word);
+    if (!this.gameState.isActive) return;
+
+    if (isWord) {
       // Valid word found!
-      const points = this.gameState.calculateWordScore(word);
-      this.gameState.addFoundWord(word);
-      this.uiManager.addFoundWord(word);
+      const lore = this.lexicon.get(word);
+      const { points, breakdown, runeStones } = this.gameState.addFoundWord(word, lore);
+      this.uiManager.addFoundWord(word, lore);
+      this.uiManager.highlightHintTiles(this.gameState.getHintTiles());
+      this.bossManager.damage(points);
       
-      const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_VALID, { 
+      let message = Utils.formatMessage(GAME_CONFIG.MESSAGES.WORD_VALID, { 
         word: word.toUpperCase(), 
         points: points 
       });
+      if (breakdown.length > 1) {
+        message += Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_BREAKDOWN, { breakdown: ScoringRules.describe(breakdown) });
+      }
+      if (runeStones.length > 0) {
+        this.renderBoard(false);
+      }
+      if (lore && this.saveLoreDiscovery(word)) {
+        message += GAME_CONFIG.MESSAGES.LORE_DISCOVERED;
+      }
       this.uiManager.showMessage(message, 'success');
+
+      // Update display
+      this.updateDisplay();
+      this.achievements.publish('wordFound', { word, points, mode: this.gameState.mode });
+      this.achievements.publish('comboReached', {
+        combo: this.gameState.comboCount,
+        multiplier: this.gameState.comboMultiplier
+      });
       
       // Play sound and animations
       this.audioManager.play('correctWord');
-      await this.uiManager.triggerCharacterAttack();
-      await this.uiManager.triggerCharacterShake();
-      
-      // Update display
-      this.updateDisplay();
+      await this.uiManager.triggerCharacterAttack(this.gameState.selectedCharacter);
       
       Logger.info(`Valid word submitted: ${word} (+${points} points)`);
       
@@ -334,6 +1260,7 @@ class MythicRunesGame {
       this.uiManager.showMessage(message, 'error');
       this.gameState.addInvalidWord(word);
       this.uiManager.addInvalidWord(word);
+      this.breakCombo();
       
       Logger.debug(`Invalid word submitted: ${word}`);
     }
@@ -342,25 +1269,263 @@ class MythicRunesGame {
     this.uiManager.focusInput();
   }
 
+  /**
+   * Reset the combo after a miss
+   */
+  breakCombo() {
+    this.gameState.resetCombo();
+    this.uiManager.updateCombo(this.gameState.comboMultiplier);
+  }
+
+  /**
+   * Give the next hint: a new word at the first tier, or the word already
+   * being hinted at one tier further. Words are picked to suit the boss's remaining HP.
+   */
+  async provideHint() {
+    if (!this.gameState.isPlaying()) return;
+
+    const settings = this.gameState.getDifficultySettings();
+    if (!settings.hintsEnabled) {
+      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.HINTS_DISABLED, 'error');
+      return;
+    }
+
+    const possibleWords = await this.dictionary.solve(this.gameState.getUsableLetters(), this.gameState.foundWords);
+    if (!this.gameState.isActive) return;
+
+    if (possibleWords.length === 0) {
+      this.uiManager.showMessage(GAME_CONFIG.MESSAGES.NO_HINTS_LEFT, 'info');
+      this.uiManager.setHintEnabled(false);
+      return;
+    }
+
+    let tier = this.gameState.getNextHintTier();
+    let word = tier > 0 && possibleWords.includes(this.gameState.hint.word) ? this.gameState.hint.word : null;
+    if (!word) {
+      tier = 0;
+      word = Hints.chooseTarget(possibleWords, this.bossManager.hp, candidate =>
+        ScoringRules.score(candidate, this.gameState.getScoringContext(this.lexicon.get(candidate))).points);
+    }
+
+    const cost = Hints.getCost(settings, tier);
+    this.gameState.takeHint(word, tier, cost);
+    this.bossManager.heal(cost);
+    this.uiManager.highlightHintTiles(this.gameState.getHintTiles());
+    this.updateDisplay();
+
+    this.uiManager.showMessage(Hints.describe(word, tier), 'info');
+    Logger.debug(`Hint given: ${word} (${GAME_CONFIG.HINT_TIERS[tier]})`);
+  }
+
+  /**
+   * Label the hint button with what the next hint costs
+   */
+  updateHintButton() {
+    const settings = this.gameState.getDifficultySettings();
+    this.uiManager.updateHintButton(settings, Hints.getCost(settings, this.gameState.getNextHintTier()));
+  }
+
+  /**
+   * Activate the selected character's special ability
+   */
+  async handleSpecialAbility() {
+    const abilityButton = this.uiManager.getElement('special-ability-button');
+    if (!this.gameState.isPlaying() || (abilityButton && abilityButton.disabled)) return;
+
+    const { ability } = GAME_CONFIG.CHARACTERS[this.gameState.selectedCharacter];
+    if (!this.gameState.useAbility(ability)) return;
+
+    this.updateAbilityButton();
+    const { message, boardChanged } = await HeroAbilities.apply(ability, {
+      gameState: this.gameState,
+      dictionary: this.dictionary
+    });
+    if (!this.gameState.isActive) return;
+
+    if (boardChanged) {
+      this.renderBoard(false);
+    }
+    // showMessage also announces the effect to screen readers
+    if (message) {
+      this.uiManager.showMessage(message, 'info');
+    }
+    this.updateDisplay();
+  }
+
+  /**
+   * Show the hero's ability on its button and meter: cost and uses left, or why it
+   * can't be used. While it recharges a ring sweeps round the button, and the
+   * button is refreshed (and the player told) once it is ready.
+   * @returns {Object|null} Ability status from HeroAbilities.getStatus
+   */
+  updateAbilityButton() {
+    clearTimeout(this.abilityReadyTimer);
+    const character = GAME_CONFIG.CHARACTERS[this.gameState.selectedCharacter];
+    if (!character) return null;
+
+    const { ability } = character;
+    const status = HeroAbilities.getStatus(ability, this.gameState);
+    const { MESSAGES } = GAME_CONFIG;
+    const values = { resource: ability.resource, cost: status.cost, meter: status.meter };
+    const reasons = {
+      active: MESSAGES.ABILITY_ACTIVE,
+      spent: MESSAGES.ABILITY_SPENT,
+      recharging: MESSAGES.ABILITY_RECHARGING,
+      charging: Utils.formatMessage(MESSAGES.ABILITY_CHARGING, values)
+    };
+
+    const details = [];
+    if (status.reason) {
+      details.push(reasons[status.reason]);
+    } else {
+      if (status.cost > 0) {
+        details.push(Utils.formatMessage(MESSAGES.ABILITY_COST, values));
+      }
+      if (status.usesLeft !== null) {
+        details.push(Utils.formatMessage(MESSAGES.ABILITY_USES_LEFT, { count: status.usesLeft }));
+      }
+    }
+    const label = details.length > 0
+      ? Utils.formatMessage(MESSAGES.ABILITY_BUTTON, { name: ability.name, details: details.join(', ') })
+      : ability.name;
+    this.uiManager.updateAbilityButton(label, status.reason !== null);
+    this.uiManager.updateAbilityMeter(status.meter, status.cost, ability.resource);
+    this.uiManager.showAbilityCooldown(status.readyIn, status.cooldown);
+
+    if (status.readyIn > 0 && this.gameState.isPlaying()) {
+      this.abilityReadyTimer = setTimeout(() => {
+        const nextStatus = this.updateAbilityButton();
+        if (nextStatus && !nextStatus.reason) {
+          Utils.announceToScreenReader(Utils.formatMessage(MESSAGES.ABILITY_READY, { name: ability.name }), 'polite');
+        }
+      }, status.readyIn);
+    }
+    return status;
+  }
+
+  /**
+   * Begins a trace on the pressed tile
+   * @param {PointerEvent} e - Pointer event
+   */
+  startTileTrace(e) {
+    if (!this.gameState.isPlaying()) return;
+    const index = this.uiManager.getTileIndex(e.target);
+    if (index === -1) return;
+
+    // Stop touch scrolling and text selection while tracing, and keep getting
+    // pointer events even if the release happens off the board
+    e.preventDefault();
+    if (e.currentTarget.setPointerCapture) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    if (this.uiManager.selectTile(index)) {
+      this.tileTrace = { length: 1 };
+    }
+  }
+
+  /**
+   * Adds tiles the pointer moves onto; moving back onto the previous tile undoes the last one
+   * @param {PointerEvent} e - Pointer event
+   */
+  continueTileTrace(e) {
+    if (!this.tileTrace) return;
+    const index = this.uiManager.getTileIndexAt(e.clientX, e.clientY);
+    const selected = this.uiManager.selectedTiles;
+    if (index === -1 || index === this.uiManager.getLastSelectedTile()) return;
+
+    if (this.tileTrace.length > 1 && index === selected[selected.length - 2]) {
+      this.uiManager.removeLastLetter();
+      this.updateWordFeedback();
+      this.tileTrace.length--;
+    } else if (this.uiManager.selectTile(index)) {
+      this.tileTrace.length++;
+    }
+  }
+
+  /**
+   * Ends a trace. A drag across two or more tiles submits the word; a tap only adds its letter.
+   * @param {boolean} submit - False when the browser cancelled the pointer
+   */
+  endTileTrace(submit) {
+    const trace = this.tileTrace;
+    this.tileTrace = null;
+    if (submit && trace && trace.length > 1) {
+      this.debouncedSubmitWord();
+    }
+  }
+
   /**
    * Shuffle the current letters
    */
   shuffleLetters() {
-    if (!this.gameState.isActive) return;
+    if (!this.gameState.isPlaying()) return;
 
-    this.gameState.currentLetters = Utils.shuffleArray(this.gameState.currentLetters);
-    this.uiManager.renderLetters(this.gameState.currentLetters);
+    this.gameState.shuffleBoard();
+    this.renderBoard();
     
     Utils.announceToScreenReader('Letters shuffled', 'polite');
     Logger.debug('Letters shuffled');
   }
 
+  /**
+   * Deal a fresh board with the hero's free reroll. Words found on the old board still count.
+   */
+  async rerollBoard() {
+    if (!this.gameState.isPlaying() || !this.gameState.canReroll()) return;
+
+    this.gameState.freeRerollUsed = true;
+    this.uiManager.showRerollButton(false);
+    const letters = await this.dictionary.generateBoard({
+      settings: this.gameState.getDifficultySettings(),
+      seed: this.nextBoardSeed()
+    });
+    if (!this.gameState.isActive) return;
+
+    this.gameState.clearBoardWords();
+    this.dealBoard(letters);
+    this.renderBoard();
+    this.uiManager.clearWordLists();
+    this.uiManager.clearInput();
+    this.updateDisplay();
+    this.uiManager.showMessage(GAME_CONFIG.MESSAGES.REROLL_USED, 'info');
+    Logger.info('Board rerolled');
+  }
+
+  /**
+   * Render the letter board with any boss tile effects
+   * @param {boolean} animate - Animate tiles in (false for in-place updates)
+   */
+  renderBoard(animate = true) {
+    this.uiManager.renderLetters(
+      this.gameState.currentLetters,
+      this.gameState.tileEffects,
+      animate,
+      this.gameState.runeStones,
+      this.gameState.scoringMode === 'letters'
+    );
+    this.uiManager.highlightHintTiles(this.gameState.getHintTiles());
+    // Boss effects can take away letters the word was using
+    this.updateWordFeedback();
+  }
+
+  /**
+   * Checks the word being typed against the usable letters, as submitting would
+   */
+  updateWordFeedback() {
+    const wordInput = this.uiManager.getElement('word-input');
+    if (!wordInput) return;
+    this.uiManager.showWordFeedback(
+      LetterGenerator.getMissingLetters(wordInput.value, this.gameState.getUsableLetters())
+    );
+  }
+
   /**
    * Timer tick handler
    */
   onTimerTick(timeLeft) {
     this.gameState.timeLeft = timeLeft;
     this.uiManager.updateTimer(timeLeft);
+    this.throttledSaveProgress();
     
     // Warning announcements
     if (timeLeft === 60) {
@@ -383,56 +1548,149 @@ class MythicRunesGame {
    * End the current game
    */
   endGame() {
+    this.gameTimer.stop();
+    this.bossManager.stopAbilities();
+    clearTimeout(this.abilityReadyTimer);
+    this.uiManager.showAbilityCooldown(0, 0);
     this.gameState.endGame();
+    this.uiManager.showPauseOverlay(false);
     this.uiManager.setInputEnabled(false);
+    this.uiManager.showEndGameActions(true);
     
-    const message = Utils.formatMessage(GAME_CONFIG.MESSAGES.GAME_OVER, { score: this.gameState.score });
-    this.uiManager.showMessage(message, 'info');
+    const victory = this.bossManager.isComplete();
+    const isDaily = this.gameState.mode === 'daily';
+    let message = Utils.formatMessage(GAME_CONFIG.MESSAGES.GAME_OVER, { score: this.gameState.score });
+    if (victory) {
+      message = GAME_CONFIG.MESSAGES.VICTORY;
+    } else if (isDaily) {
+      message = Utils.formatMessage(GAME_CONFIG.MESSAGES.DAILY_OVER, { score: this.gameState.score });
+    }
+    const sources = ScoringRules.summarize(this.gameState.scoreBreakdown);
+    if (sources.length > 0) {
+      message += Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_SUMMARY, {
+        sources: sources.map(source => Utils.formatMessage(GAME_CONFIG.MESSAGES.SCORE_SOURCE, source)).join(', ')
+      });
+    }
+    if (this.gameState.challengeScore !== null) {
+      let challengeMessage = GAME_CONFIG.MESSAGES.CHALLENGE_LOST;
+      if (this.gameState.score > this.gameState.challengeScore) {
+        challengeMessage = GAME_CONFIG.MESSAGES.CHALLENGE_WON;
+      } else if (this.gameState.score === this.gameState.challengeScore) {
+        challengeMessage = GAME_CONFIG.MESSAGES.CHALLENGE_TIED;
+      }
+      message += Utils.formatMessage(challengeMessage, { challenge: this.gameState.challengeScore });
+    }
+
+    // Daily results are kept apart from the regular high scores, history and stats
+    if (isDaily) {
+      this.saveDailyResult();
+    } else {
+      this.saveHighScore();
+      this.saveGameHistory(victory);
+      const gameStats = this.saveGameStats();
+      // Only campaigns earn XP; shared boards can be replayed for the same points again and again
+      if (this.gameState.mode === 'campaign') {
+        // A campaign that never found a word never replaced the saved one
+        if (this.gameState.hasProgress()) {
+          this.clearSavedCampaign();
+        }
+        message += this.saveHeroProgress(gameStats, victory);
+      }
+    }
+
+    this.uiManager.showMessage(message, victory ? 'success' : 'info');
     
-    // Trigger confetti for good scores
-    if (this.gameState.score >= 50) {
+    // Trigger confetti for a full campaign or a good score
+    if (victory || this.gameState.score >= 50) {
       this.uiManager.triggerConfetti();
     }
     
-    // Save high score
-    this.saveHighScore();
-    
-    // Save game stats
-    this.saveGameStats();
-    
     Utils.announceToScreenReader(message, 'assertive');
+    const { startingBoard } = this.gameState;
+    this.achievements.publish('gameEnded', {
+      ...this.gameState.getGameStats(),
+      victory,
+      startBossIndex: startingBoard ? startingBoard.bossIndex : null
+    });
     Logger.info('Game ended', this.gameState.getGameStats());
+    this.openRoundSummary();
+  }
+
+  /**
+   * Solve the final board and open the summary of found and missed words
+   */
+  async openRoundSummary() {
+    const letters = this.gameState.currentLetters;
+    try {
+      const possibleWords = await this.dictionary.solve(letters);
+      // A new game may have started while the board was being solved
+      if (this.gameState.currentLetters !== letters) return;
+
+      const summary = RoundSummary.build(possibleWords, this.gameState.foundWords, this.gameState.invalidWords, word => {
+        const entry = this.lexicon.get(word);
+        return entry ? entry.lore : null;
+      });
+      this.uiManager.renderRoundSummary(summary);
+      this.uiManager.showRoundSummary(true);
+    } catch (error) {
+      Logger.error('Round summary could not be built:', error);
+    }
   }
 
   /**
    * Start a new game (reset and restart)
    */
   newGame() {
+    // Leaving mid-campaign keeps it to continue later, and a Daily Rune keeps its score so far
+    this.saveProgress();
     this.gameTimer.stop();
+    clearTimeout(this.abilityReadyTimer);
     this.gameState.reset();
+    this.bossManager.reset();
+    this.uiManager.showPauseOverlay(false);
+    this.uiManager.showRoundSummary(false);
+    this.uiManager.showEndGameActions(false);
+    this.uiManager.updateDailyButton(this.getDailyResult());
+    this.updateContinueButton();
     this.uiManager.showTitleScreen();
     Logger.info('New game initiated');
   }
 
   /**
-   * Pause the game
+   * Pause the game: the clock and boss abilities stop and the board is hidden
    */
   pauseGame() {
-    if (this.gameState.isActive) {
-      this.gameTimer.pause();
-      this.uiManager.showMessage('Game paused. Press any key to continue.', 'info');
-      Logger.info('Game paused');
-    }
+    if (!this.gameState.pause()) return;
+
+    this.gameTimer.pause();
+    this.bossManager.pauseAbilities();
+    clearTimeout(this.abilityReadyTimer);
+    this.tileTrace = null;
+    this.uiManager.showPauseOverlay(true);
+    Utils.announceToScreenReader(GAME_CONFIG.MESSAGES.GAME_PAUSED, 'assertive');
+    Logger.info('Game paused');
   }
 
   /**
    * Resume the game
    */
   resumeGame() {
-    if (this.gameState.isActive) {
-      this.gameTimer.resume();
-      this.uiManager.showMessage('Game resumed', 'info');
-      Logger.info('Game resumed');
+    if (!this.gameState.resume()) return;
+
+    this.gameTimer.resume();
+    this.bossManager.resumeAbilities();
+    this.updateAbilityButton();
+    this.uiManager.showPauseOverlay(false);
+    this.uiManager.focusInput();
+    Utils.announceToScreenReader(GAME_CONFIG.MESSAGES.GAME_RESUMED, 'polite');
+    Logger.info('Game resumed');
+  }
+
+  togglePause() {
+    if (this.gameState.isPaused) {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
     }
   }
 
@@ -440,9 +1698,14 @@ class MythicRunesGame {
    * Update the display with current game state
    */
   updateDisplay() {
+    this.throttledSaveProgress();
+    this.updateAbilityButton();
+    this.updateHintButton();
     this.uiManager.updateScore(this.gameState.score);
     this.uiManager.updateTimer(this.gameState.timeLeft);
     this.uiManager.updateFoundWordsCount(this.gameState.foundWords.size);
+    this.uiManager.updateCombo(this.gameState.comboMultiplier);
+    this.uiManager.updateLevel(this.gameState.level);
   }
 
   /**
@@ -505,9 +1768,170 @@ class MythicRunesGame {
     stats.totalWordsFound += gameStats.wordsFound;
     stats.averageScore = Math.round(stats.totalScore / stats.gamesPlayed);
     stats.bestScore = Math.max(stats.bestScore, gameStats.score);
+    stats.wordLists = stats.wordLists || {};
+    stats.wordLists[gameStats.wordList] = (stats.wordLists[gameStats.wordList] || 0) + 1;
 
     Storage.set(GAME_CONFIG.STORAGE_KEYS.GAME_STATS, stats);
     Logger.debug('Game stats saved', stats);
+    return gameStats;
+  }
+
+  /**
+   * Experience per hero for the active profile
+   * @returns {Object} { [hero]: { xp } }
+   */
+  getHeroProgress() {
+    const progress = Storage.get(GAME_CONFIG.STORAGE_KEYS.HERO_PROGRESS, {});
+    return progress && typeof progress === 'object' ? progress : {};
+  }
+
+  /**
+   * @param {string} hero - Character key
+   * @returns {number} The hero's level for the active profile
+   */
+  getHeroLevel(hero) {
+    return HeroProgression.getLevel(HeroProgression.getXp(this.getHeroProgress(), hero));
+  }
+
+  /**
+   * Give the game's hero the XP its results earned
+   * @param {Object} gameStats - From saveGameStats
+   * @param {boolean} victory - Whether the whole campaign was beaten
+   * @returns {string} What the hero gained, to add to the game-over message
+   */
+  saveHeroProgress(gameStats, victory) {
+    const hero = gameStats.character;
+    const xp = HeroProgression.getXpEarned(gameStats, victory);
+    const { progress, level, levelBefore, unlocks } = HeroProgression.addXp(this.getHeroProgress(), hero, xp);
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.HERO_PROGRESS, progress);
+    this.updateHeroProgress();
+    Logger.info(`${hero} earned ${xp} XP (level ${level})`);
+
+    const name = GAME_CONFIG.CHARACTERS[hero].name;
+    let message = Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_XP_EARNED, { hero: name, xp });
+    if (level > levelBefore) {
+      message += Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_LEVEL_UP, { hero: name, level });
+    }
+    if (unlocks.length > 0) {
+      message += Utils.formatMessage(GAME_CONFIG.MESSAGES.HERO_UNLOCKED, { unlocks: unlocks.map(unlock => unlock.name).join(', ') });
+    }
+    return message;
+  }
+
+  /**
+   * Show every hero's level and unlocks on the title-screen cards
+   */
+  updateHeroProgress() {
+    const progress = this.getHeroProgress();
+    const heroes = {};
+    Object.keys(GAME_CONFIG.CHARACTERS).forEach(hero => {
+      heroes[hero] = HeroProgression.describe(progress, hero);
+    });
+    this.uiManager.updateHeroProgress(heroes);
+  }
+
+  /**
+   * Finished games, oldest first
+   * @returns {Array<Object>} History records
+   */
+  getGameHistory() {
+    return Storage.get(GAME_CONFIG.STORAGE_KEYS.GAME_HISTORY, []);
+  }
+
+  /**
+   * Record the game that just ended in the history, daily games included
+   * @param {boolean} victory - Whether the whole campaign was beaten
+   */
+  saveGameHistory(victory) {
+    const boss = this.bossManager.getCurrentBoss();
+    const record = GameHistory.createRecord(this.gameState.getGameStats(), {
+      date: Utils.getDateKey(),
+      victory,
+      lostTo: boss ? boss.name : null
+    });
+
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.GAME_HISTORY, GameHistory.append(this.getGameHistory(), record));
+    Logger.debug('Game history saved', record);
+  }
+
+  openStatsPanel() {
+    this.uiManager.renderStatsPanel(GameHistory.summarize(this.getGameHistory()));
+    this.uiManager.showStatsPanel(true);
+  }
+
+  openTrophyHall() {
+    this.uiManager.renderTrophyHall(this.achievements.getAll());
+    this.uiManager.showTrophyHall(true);
+  }
+
+  /**
+   * Mythic words discovered across all games
+   * @returns {Object} { [word]: { firstFound, timesFound } }
+   */
+  getLore() {
+    return Storage.get(GAME_CONFIG.STORAGE_KEYS.LORE, {});
+  }
+
+  /**
+   * Record a mythic word in the Lore collection
+   * @param {string} word - Lexicon word just found
+   * @returns {boolean} True if this is the first time it was found
+   */
+  saveLoreDiscovery(word) {
+    const lore = this.getLore();
+    const isNew = !lore[word];
+
+    lore[word] = {
+      firstFound: isNew ? Utils.getDateKey() : lore[word].firstFound,
+      timesFound: isNew ? 1 : lore[word].timesFound + 1
+    };
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.LORE, lore);
+    this.updateLoreButton();
+
+    if (isNew) {
+      Logger.info(`Lore discovered: ${word}`);
+    }
+    return isNew;
+  }
+
+  updateLoreButton() {
+    const lore = this.getLore();
+    const entries = this.lexicon.getEntries();
+    this.uiManager.updateLoreButton(entries.filter(entry => lore[entry.word]).length, entries.length);
+  }
+
+  openLorePanel() {
+    this.uiManager.renderLorePanel(this.lexicon.getEntries(), this.getLore());
+    this.uiManager.showLorePanel(true);
+  }
+
+  /**
+   * Save the Daily Rune result for today's date
+   */
+  saveDailyResult() {
+    const gameStats = this.gameState.getGameStats();
+    const result = {
+      date: this.gameState.dailyDate,
+      score: gameStats.score,
+      wordsFound: gameStats.wordsFound,
+      character: gameStats.character,
+      wordList: gameStats.wordList,
+      bossesDefeated: gameStats.bossesDefeated,
+      completed: !this.gameState.isActive
+    };
+
+    Storage.set(GAME_CONFIG.STORAGE_KEYS.DAILY, result);
+    Logger.debug('Daily result saved', result);
+  }
+
+  /**
+   * Get the stored Daily Rune result if it is for the given day
+   * @param {string} dateKey - Day to look up, defaults to today
+   * @returns {Object|null} The day's result, or null if not yet played
+   */
+  getDailyResult(dateKey = Utils.getDateKey()) {
+    const result = Storage.get(GAME_CONFIG.STORAGE_KEYS.DAILY);
+    return result && result.date === dateKey ? result : null;
   }
 
   /**
@@ -550,20 +1974,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
-// Handle page visibility changes
+// Pause when the player switches away; they resume from the pause overlay
 document.addEventListener('visibilitychange', () => {
-  if (window.mythicRunesGame) {
-    if (document.hidden) {
-      // Page is hidden, pause game if active
-      if (window.mythicRunesGame.gameState.isActive) {
-        window.mythicRunesGame.pauseGame();
-      }
-    } else {
-      // Page is visible, resume game if paused
-      if (window.mythicRunesGame.gameState.isActive) {
-        window.mythicRunesGame.resumeGame();
-      }
-    }
+  if (window.mythicRunesGame && document.hidden) {
+    window.mythicRunesGame.pauseGame();
+    // Mobile browsers may discard a hidden tab without firing beforeunload
+    window.mythicRunesGame.saveProgress();
   }
 });
 
@@ -571,6 +1987,7 @@ document.addEventListener('visibilitychange', () => {
 window.addEventListener('beforeunload', () => {
   if (window.mythicRunesGame) {
     window.mythicRunesGame.saveSettings();
+    window.mythicRunesGame.saveProgress();
   }
 });
 
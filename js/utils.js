@@ -69,23 +69,67 @@ class Utils {
   /**
    * Shuffles an array using Fisher-Yates algorithm
    * @param {Array} array - Array to shuffle
+   * @param {Function} random - Source of floats in [0, 1), defaults to Math.random
    * @returns {Array} New shuffled array (original unchanged)
    */
-  static shuffleArray(array) {
+  static shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
 
+  /**
+   * Creates a seeded pseudo-random generator (mulberry32)
+   * @param {number} seed - 32-bit integer seed
+   * @returns {Function} Function returning floats in [0, 1), a drop-in for Math.random
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Hashes a string to a 32-bit unsigned integer (FNV-1a), e.g. to seed createRandom
+   * @param {string} str - String to hash
+   * @returns {number} Unsigned 32-bit hash
+   */
+  static hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Formats a date as a local YYYY-MM-DD key
+   * @param {Date} date - Date to format
+   * @returns {string} Date key
+   */
+  static getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
   /**
    * Formats time in MM:SS format
-   * @param {number} seconds - Time in seconds
+   * @param {number} seconds - Time in seconds (Infinity for untimed games)
    * @returns {string} Formatted time string
    */
   static formatTime(seconds) {
+    if (seconds === Infinity) return GAME_CONFIG.MESSAGES.NO_TIME_LIMIT;
+
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
     return `${minutes}:${remainingSeconds < 10 ? '0' : ''}${remainingSeconds}`;
@@ -413,6 +457,21 @@ class Logger {
  * Storage utility for managing localStorage with error handling
  */
 class Storage {
+  /**
+   * Scopes every key to a player profile, except the shared ones
+   * @param {string} prefix - Prepended to keys, or '' for unscoped keys
+   * @param {Array<string>} sharedKeys - Keys every profile uses as they are
+   */
+  static setNamespace(prefix, sharedKeys = []) {
+    this.namespace = prefix;
+    this.sharedKeys = sharedKeys;
+  }
+
+  static _key(key) {
+    if (!this.namespace || (this.sharedKeys || []).includes(key)) return key;
+    return this.namespace + key;
+  }
+
   /**
    * Safely gets an item from localStorage
    * @param {string} key - Storage key
@@ -421,7 +480,7 @@ class Storage {
    */
   static get(key, defaultValue = null) {
     try {
-      const item = localStorage.getItem(key);
+      const item = localStorage.getItem(this._key(key));
       return item ? JSON.parse(item) : defaultValue;
     } catch (error) {
       Logger.error(`Error reading from localStorage key '${key}':`, error);
@@ -437,7 +496,7 @@ class Storage {
    */
   static set(key, value) {
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      localStorage.setItem(this._key(key), JSON.stringify(value));
       return true;
     } catch (error) {
       Logger.error(`Error writing to localStorage key '${key}':`, error);
@@ -446,7 +505,7 @@ class Storage {
         this.clearOldData();
         // Try again after clearing
         try {
-          localStorage.setItem(key, JSON.stringify(value));
+          localStorage.setItem(this._key(key), JSON.stringify(value));
           return true;
         } catch (retryError) {
           Logger.error('Failed to store data even after clearing:', retryError);
@@ -463,7 +522,7 @@ class Storage {
    */
   static remove(key) {
     try {
-      localStorage.removeItem(key);
+      localStorage.removeItem(this._key(key));
       return true;
     } catch (error) {
       Logger.error(`Error removing localStorage key '${key}':`, error);
@@ -512,7 +571,188 @@ class Storage {
   }
 }
 
+/**
+ * IndexedDB-backed cache for word lists, one record per list URL.
+ * Words are stored sorted and front-coded: each line holds the length of the
+ * prefix shared with the previous word (one base-36 digit) and the remaining suffix.
+ */
+class DictionaryCache {
+  /**
+   * Checks whether IndexedDB can be used in this context
+   * @returns {boolean} True if available
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Reads a cached word list
+   * @param {string} url - Word list URL the record was stored under
+   * @returns {Promise<Object|null>} { words, hash, timestamp, isExpired, record } or null if missing or unusable
+   */
+  static async read(url) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      const record = await this._transaction('readonly', store => store.get(url));
+      if (!record) return null;
+
+      if (record.version !== GAME_CONFIG.CACHE.DICTIONARY_FORMAT) {
+        Logger.debug('Dictionary cache has an old format, discarding');
+        await this.remove(url);
+        return null;
+      }
+
+      const words = this.decode(record.data);
+      if (this.hashWords(words) !== record.hash) {
+        Logger.warn('Dictionary cache failed its content check, discarding');
+        await this.remove(url);
+        return null;
+      }
+
+      return {
+        words,
+        hash: record.hash,
+        timestamp: record.timestamp,
+        isExpired: Date.now() - record.timestamp >= GAME_CONFIG.CACHE.DICTIONARY_MAX_AGE,
+        record
+      };
+    } catch (error) {
+      Logger.warn('Error reading dictionary cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a word list
+   * @param {string} url - Word list URL to store it under
+   * @param {Array<string>} words - Words in sorted order
+   * @param {number} hash - Content hash from hashWords
+   * @returns {Promise<boolean>} True if successful
+   */
+  static async write(url, words, hash) {
+    return this._put({
+      url,
+      version: GAME_CONFIG.CACHE.DICTIONARY_FORMAT,
+      hash,
+      timestamp: Date.now(),
+      data: this.encode(words)
+    });
+  }
+
+  /**
+   * Marks a cached record as fresh without rewriting its words
+   * @param {Object} record - Raw record returned by read()
+   * @returns {Promise<boolean>} True if successful
+   */
+  static async touch(record) {
+    return this._put({ ...record, timestamp: Date.now() });
+  }
+
+  /**
+   * Removes a cached word list
+   * @param {string} url - Word list URL
+   * @returns {Promise<boolean>} True if successful
+   */
+  static async remove(url) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._transaction('readwrite', store => store.delete(url));
+      return true;
+    } catch (error) {
+      Logger.warn('Error removing dictionary cache:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Hashes a sorted word list the same way words.txt content is checked
+   * @param {Array<string>} words - Words in sorted order
+   * @returns {number} Unsigned 32-bit hash
+   */
+  static hashWords(words) {
+    return Utils.hashString(words.join('\n'));
+  }
+
+  /**
+   * Front-codes a sorted word list
+   * @param {Array<string>} words - Words in sorted order
+   * @returns {string} Encoded list
+   */
+  static encode(words) {
+    let previous = '';
+    return words.map(word => {
+      let shared = 0;
+      const limit = Math.min(previous.length, word.length, 35);
+      while (shared < limit && previous[shared] === word[shared]) {
+        shared++;
+      }
+      previous = word;
+      return shared.toString(36) + word.slice(shared);
+    }).join('\n');
+  }
+
+  /**
+   * Decodes a front-coded word list
+   * @param {string} data - Output of encode()
+   * @returns {Array<string>} Words in sorted order
+   */
+  static decode(data) {
+    if (!data) return [];
+
+    let previous = '';
+    return data.split('\n').map(line => {
+      const shared = parseInt(line[0], 36);
+      previous = previous.slice(0, shared) + line.slice(1);
+      return previous;
+    });
+  }
+
+  static async _put(record) {
+    if (!this.isAvailable()) return false;
+
+    try {
+      await this._transaction('readwrite', store => store.put(record));
+      return true;
+    } catch (error) {
+      Logger.warn('Error writing dictionary cache:', error);
+      return false;
+    }
+  }
+
+  static _open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(GAME_CONFIG.CACHE.DB_NAME, GAME_CONFIG.CACHE.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(GAME_CONFIG.CACHE.DICTIONARY_STORE)) {
+          db.createObjectStore(GAME_CONFIG.CACHE.DICTIONARY_STORE, { keyPath: 'url' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Dictionary cache database is blocked'));
+    });
+  }
+
+  static async _transaction(mode, operation) {
+    const db = await this._open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(GAME_CONFIG.CACHE.DICTIONARY_STORE, mode);
+        const request = operation(transaction.objectStore(GAME_CONFIG.CACHE.DICTIONARY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Dictionary cache transaction aborted'));
+      });
+    } finally {
+      db.close();
+    }
+  }
+}
+
 // Export utilities if using modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Utils, Logger, Storage };
+  module.exports = { Utils, Logger, Storage, DictionaryCache };
 }
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Scoring Rules Check
+ * Runs ScoringRules without a browser: node scripts/check-scoring.js
+ * The game scripts are loaded as the page loads them, so nothing is stubbed.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+['config.js', 'utils.js', 'game.js'].forEach(file => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+  vm.runInContext(source, context, { filename: file });
+});
+const { GAME_CONFIG, ScoringRules, LetterGenerator } = vm.runInContext(
+  '({ GAME_CONFIG, ScoringRules, LetterGenerator })', context
+);
+
+const LETTERS = ['C', 'A', 'T', 'S', 'E', 'E', 'R', 'O', 'N', 'D'];
+const baseContext = {
+  scoringMode: 'length',
+  letters: LETTERS,
+  runeStones: [],
+  tileEffects: [],
+  lore: null,
+  berserk: false,
+  comboCount: 0,
+  difficulty: 'medium'
+};
+const score = (word, overrides = {}) => ScoringRules.score(word, { ...baseContext, ...overrides });
+const value = letter => LetterGenerator.getLetterValue(letter);
+// Arrays made inside the game's context have its own Array prototype, so compare plain copies
+const same = (actual, expected) => assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected);
+
+const checks = {
+  'length scoring follows the scoring table'() {
+    assert.strictEqual(score('acre').points, GAME_CONFIG.SCORING[4]);
+    assert.strictEqual(score('acetones').points, GAME_CONFIG.SCORING[8]);
+  },
+
+  'words longer than the table score as 8 letters'() {
+    assert.strictEqual(score('abcdefghij').points, GAME_CONFIG.SCORING[8]);
+  },
+
+  'letter scoring adds up letter values'() {
+    const result = score('acre', { scoringMode: 'letters' });
+    assert.strictEqual(result.points, value('A') + value('C') + value('R') + value('E'));
+    same(result.runeStones, []);
+  },
+
+  'an unknown scoring mode falls back to the default'() {
+    assert.strictEqual(score('acre', { scoringMode: 'nonsense' }).points, score('acre').points);
+  },
+
+  'letter stones add before word stones multiply'() {
+    const runeStones = ['doubleLetter', null, null, null, null, null, 'doubleWord'];
+    const result = score('acre', { scoringMode: 'letters', runeStones });
+    const letters = value('A') + value('C') + value('R') + value('E');
+    assert.strictEqual(result.points, (letters + value('C')) * 2);
+    same([...result.runeStones].sort(), [0, 6]);
+    same(result.breakdown.map(step => step.id), ['letters', 'runeStones', 'runeStones']);
+  },
+
+  'stones on letters the word lacks, or on frozen tiles, are not used'() {
+    const runeStones = [null, null, 'tripleWord', null, null, null, 'doubleWord'];
+    const tileEffects = [null, null, null, null, null, null, { state: 'frozen', remaining: 3 }];
+    const result = score('acre', { scoringMode: 'letters', runeStones, tileEffects });
+    same(result.runeStones, []);
+  },
+
+  'modifiers multiply in order: lore, berserk, combo'() {
+    const comboTier = GAME_CONFIG.COMBO_TIERS[GAME_CONFIG.COMBO_TIERS.length - 1];
+    const result = score('acre', {
+      lore: { multiplier: 2 },
+      berserk: true,
+      comboCount: comboTier.minCombo
+    });
+    same(result.breakdown.map(step => step.id), ['length', 'lore', 'berserk', 'combo']);
+    assert.strictEqual(result.points,
+      GAME_CONFIG.SCORING[4] * 2 * GAME_CONFIG.BERSERK_MULTIPLIER * comboTier.multiplier);
+  },
+
+  'a combo head start reaches a tier sooner'() {
+    const comboTier = GAME_CONFIG.COMBO_TIERS[GAME_CONFIG.COMBO_TIERS.length - 1];
+    assert.strictEqual(ScoringRules.getComboMultiplier(comboTier.minCombo - 3), 1);
+    assert.strictEqual(ScoringRules.getComboMultiplier(comboTier.minCombo - 3, 3), comboTier.multiplier);
+  },
+
+  'difficulty leaves word values alone'() {
+    Object.keys(GAME_CONFIG.DIFFICULTY).forEach(difficulty => {
+      assert.strictEqual(score('acre', { difficulty }).points, GAME_CONFIG.SCORING[4]);
+    });
+  },
+
+  'breakdown points add up to the total'() {
+    const result = score('acre', { scoringMode: 'letters', runeStones: ['tripleLetter'], berserk: true });
+    const sum = result.breakdown.reduce((total, step) => total + step.points, 0);
+    assert.strictEqual(Math.round(sum), result.points);
+  },
+
+  'extra modifiers can be passed in'() {
+    const bonus = () => ({ id: 'bonus', label: 'Bonus', add: 4 });
+    assert.strictEqual(ScoringRules.score('acre', baseContext, [bonus]).points, GAME_CONFIG.SCORING[4] + 4);
+  },
+
+  'summaries keep only the sources that paid out, in source order'() {
+    const summary = ScoringRules.summarize({ combo: 4.4, length: 10, berserk: 0 });
+    same(summary.map(source => [source.id, source.points]), [['length', 10], ['combo', 4]]);
+  }
+};
+
+let failed = 0;
+Object.entries(checks).forEach(([name, check]) => {
+  try {
+    check();
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+  }
+});
+
+console.log(`${Object.keys(checks).length - failed} of ${Object.keys(checks).length} scoring checks passed`);
+process.exitCode = failed > 0 ? 1 : 0;
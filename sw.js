@@ -0,0 +1,111 @@
+/**
+ * Mythic Runes Service Worker
+ * Precaches the game shell and caches boss art, sounds and fonts the first time they load
+ */
+
+// Bump on every release so players are offered the new version
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'mythic-runes-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+
+// Everything needed to start and play a game without the network
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.json',
+  'campaign.json',
+  'lexicon.json',
+  'words.txt',
+  'wordlists/common.txt',
+  'wordlists/norse.txt',
+  'wordlists/blocklist.txt',
+  'js/config.js',
+  'js/utils.js',
+  'js/game.js',
+  'js/main.js',
+  'js/dictionary-worker.js',
+  'Ludlow Strong Ale.ttf',
+  'rune.png',
+  '315.jpg',
+  'viking.png',
+  'valkyrie.png',
+  'Fylgjaattack.jpg',
+  'cut.mp3',
+  'warp.wav'
+];
+
+// Cross-origin hosts whose responses (web fonts) are cached as they load
+const CACHEABLE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE && key !== ASSET_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over once the player accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+  if (!isSameOrigin && !CACHEABLE_HOSTS.includes(url.hostname)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Serves pages from the shell, ignoring query strings, so the game opens offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function handleNavigation(request) {
+  const cached = await caches.match(request, { ignoreSearch: true }) ||
+    await caches.match('index.html');
+  return cached || fetch(request);
+}
+
+/**
+ * Answers from any cache, otherwise fetches and keeps a copy in the asset cache.
+ * Audio elements send Range requests; those are fetched whole so the full file can be cached.
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request.url);
+  if (cached) return cached;
+
+  const fullRequest = request.headers.has('range') ? new Request(request.url) : request;
+  const response = await fetch(fullRequest);
+
+  if (response.status === 200 || response.type === 'opaque') {
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.put(request.url, response.clone());
+  }
+  return response;
+}